@@ -0,0 +1,22 @@
+-- API Tokens Setup for JLS Lawn Maintenance
+-- Run this in Supabase SQL Editor (jobs database) to let scripts (spreadsheet
+-- imports, phone shortcuts) use the jobs API with revocable Bearer tokens
+
+CREATE TABLE IF NOT EXISTS public.api_tokens (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  -- SHA-256 (hex) of the token; the token itself is only shown once, when created
+  token_hash text NOT NULL UNIQUE,
+  token_prefix text NOT NULL,  -- first characters, so owners can tell tokens apart
+  scopes text[] NOT NULL CHECK (
+    cardinality(scopes) > 0 AND scopes <@ ARRAY['jobs:read', 'jobs:write', 'quotes:read']
+  ),
+  created_by text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  last_used_at timestamptz,
+  revoked_at timestamptz  -- revoked tokens are kept so the list shows their history
+);
+
+-- Enable Row Level Security with no public policy:
+-- only the Netlify functions and the auth edge function (service key) can read tokens
+ALTER TABLE public.api_tokens ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,10 @@
+-- Recurring Series Calendar Setup for JLS Lawn Maintenance
+-- Run this in Supabase SQL Editor (jobs database) to push each recurring series
+-- to Google Calendar as one recurring event
+
+-- Jobs in a series point at their own instance through google_event_id and at
+-- the series' recurring event through google_series_event_id
+ALTER TABLE public.jobs ADD COLUMN IF NOT EXISTS google_series_event_id text;
+
+-- Index for finding the jobs still left in a Google series
+CREATE INDEX IF NOT EXISTS jobs_google_series_event_id_idx ON public.jobs(google_series_event_id);
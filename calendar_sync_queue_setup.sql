@@ -0,0 +1,24 @@
+-- Calendar Sync Queue Setup for JLS Lawn Maintenance
+-- Run this in Supabase SQL Editor (jobs database) to track each job's Google Calendar sync
+-- so failed pushes are retried by the scheduled calendar-sync-retry function
+
+-- pending: waiting to be pushed, synced: Google matches the job, failed: last push errored
+ALTER TABLE public.jobs ADD COLUMN IF NOT EXISTS calendar_sync_status text
+  CHECK (calendar_sync_status IN ('pending', 'synced', 'failed'));
+ALTER TABLE public.jobs ADD COLUMN IF NOT EXISTS calendar_sync_error text;
+ALTER TABLE public.jobs ADD COLUMN IF NOT EXISTS calendar_synced_at timestamptz;
+
+-- Backfill: linked jobs are synced; upcoming jobs with no event are queued so they
+-- reach the calendar. Past unlinked jobs stay untracked (NULL) rather than flood it.
+UPDATE public.jobs SET calendar_sync_status = 'synced'
+WHERE calendar_sync_status IS NULL AND google_event_id IS NOT NULL;
+UPDATE public.jobs SET calendar_sync_status = 'pending'
+WHERE calendar_sync_status IS NULL AND google_event_id IS NULL
+  AND start_time::timestamp::date >= (now() AT TIME ZONE 'America/New_York')::date;
+
+-- New jobs start out waiting for their first push
+ALTER TABLE public.jobs ALTER COLUMN calendar_sync_status SET DEFAULT 'pending';
+
+-- Index for the retry job's queue scan
+CREATE INDEX IF NOT EXISTS jobs_calendar_sync_queue_idx ON public.jobs(calendar_synced_at)
+  WHERE calendar_sync_status IN ('pending', 'failed');
@@ -0,0 +1,16 @@
+-- Calendar Sync State Setup for JLS Lawn Maintenance
+-- Run this in Supabase SQL Editor (jobs database) to enable two-way Google Calendar sync
+
+-- Stores the Calendar API incremental sync token per calendar
+CREATE TABLE IF NOT EXISTS public.calendar_sync_state (
+  calendar_id text PRIMARY KEY,
+  sync_token text,
+  last_synced_at timestamptz
+);
+
+-- Enable Row Level Security with no public policy:
+-- only the Netlify functions (service key) can read or write sync state
+ALTER TABLE public.calendar_sync_state ENABLE ROW LEVEL SECURITY;
+
+-- Index for looking up the job linked to a changed calendar event
+CREATE INDEX IF NOT EXISTS jobs_google_event_id_idx ON public.jobs(google_event_id);
@@ -0,0 +1,30 @@
+-- Clients Setup for JLS Lawn Maintenance
+-- Run this in Supabase SQL Editor (jobs database) to keep one record per client
+-- instead of retyping their name, phone and address onto every job
+
+CREATE TABLE IF NOT EXISTS public.clients (
+  id bigserial PRIMARY KEY,
+  name text NOT NULL CHECK (length(trim(name)) > 0),
+  phones text[] NOT NULL DEFAULT '{}',
+  emails text[] NOT NULL DEFAULT '{}',
+  -- Usual service address, filled into new jobs
+  address text,
+  notes text,
+  preferred_contact text CHECK (preferred_contact IN ('phone', 'text', 'email')),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Picker search is by name
+CREATE INDEX IF NOT EXISTS clients_name_idx ON public.clients(lower(name));
+
+-- Only the service key (the clients and jobs functions) may read client details
+ALTER TABLE public.clients ENABLE ROW LEVEL SECURITY;
+
+-- Jobs keep their own phone/address copies (what was true for that visit);
+-- client_id says who the job is for. Deleting a client leaves its jobs unlinked.
+ALTER TABLE public.jobs ADD COLUMN IF NOT EXISTS client_id bigint
+  REFERENCES public.clients(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS jobs_client_id_idx ON public.jobs(client_id)
+  WHERE client_id IS NOT NULL;
@@ -0,0 +1,21 @@
+-- Idempotency Keys Setup for JLS Lawn Maintenance
+-- Run this in Supabase SQL Editor (jobs database) so retried "SCHEDULE JOB" taps don't create duplicates
+
+-- One row per Idempotency-Key sent to POST /api/jobs
+CREATE TABLE IF NOT EXISTS public.idempotency_keys (
+  key text PRIMARY KEY,
+  created_at timestamptz DEFAULT timezone('utc'::text, now()) NOT NULL,
+  request_hash text NOT NULL,      -- sha256 of the request body; reuse with another body is rejected
+  job_ids jsonb,                   -- rows created so far, in case the request dies before responding
+  status_code integer,
+  response jsonb,                  -- original response, replayed for repeats
+  completed_at timestamptz
+);
+
+-- Enable Row Level Security with no public policy:
+-- only the jobs Netlify function (service key) can read or write keys
+ALTER TABLE public.idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+-- Keys only need to outlive a retry; old ones can be pruned with:
+-- DELETE FROM public.idempotency_keys WHERE created_at < now() - interval '7 days';
+CREATE INDEX IF NOT EXISTS idempotency_keys_created_at_idx ON public.idempotency_keys(created_at);
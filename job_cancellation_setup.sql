@@ -0,0 +1,15 @@
+-- Job Cancellation Setup for JLS Lawn Maintenance
+-- Run this in Supabase SQL Editor (jobs database) to keep cancelled jobs instead of deleting them
+
+-- Why and when a job was cancelled (cleared again when a job is restored)
+ALTER TABLE public.jobs ADD COLUMN IF NOT EXISTS cancel_reason text;
+ALTER TABLE public.jobs ADD COLUMN IF NOT EXISTS cancel_note text;
+ALTER TABLE public.jobs ADD COLUMN IF NOT EXISTS cancelled_at timestamptz;
+
+-- Only the reasons the app offers (rain, client request, no-show, other)
+ALTER TABLE public.jobs DROP CONSTRAINT IF EXISTS jobs_cancel_reason_check;
+ALTER TABLE public.jobs ADD CONSTRAINT jobs_cancel_reason_check
+  CHECK (cancel_reason IS NULL OR cancel_reason IN ('rain', 'client_request', 'no_show', 'other'));
+
+-- Index for the stats breakdown of cancellation reasons
+CREATE INDEX IF NOT EXISTS jobs_status_idx ON public.jobs(status);
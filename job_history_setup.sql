@@ -0,0 +1,20 @@
+-- Job History (Audit Log) Setup for JLS Lawn Maintenance
+-- Run this in Supabase SQL Editor (jobs database) to record who changed what
+
+-- One row per create/update/done/cancel/restore/delete handled by the jobs API,
+-- plus a 'message' row each time a reminder or thank-you is sent to the client
+CREATE TABLE IF NOT EXISTS public.job_history (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  created_at timestamptz DEFAULT timezone('utc'::text, now()) NOT NULL,
+  job_id text NOT NULL,            -- no foreign key: history outlives deleted jobs
+  action text NOT NULL,
+  actor text NOT NULL DEFAULT 'unknown',
+  changes jsonb NOT NULL DEFAULT '{}'::jsonb  -- { field: { from, to } }
+);
+
+-- Enable Row Level Security with no public policy:
+-- only the jobs Netlify function (service key) can read or write history
+ALTER TABLE public.job_history ENABLE ROW LEVEL SECURITY;
+
+-- Index for loading one job's history, newest first
+CREATE INDEX IF NOT EXISTS job_history_job_id_idx ON public.job_history(job_id, created_at DESC);
@@ -0,0 +1,13 @@
+-- Job Duration & Arrival Window Setup for JLS Lawn Maintenance
+-- Run this in Supabase SQL Editor (jobs database) to store how long each job takes
+
+-- Minutes on site (drives the Google Calendar end time and overlap warnings)
+-- and the arrival window quoted in reminder texts
+ALTER TABLE public.jobs ADD COLUMN IF NOT EXISTS duration_minutes integer CHECK (duration_minutes >= 15);
+ALTER TABLE public.jobs ADD COLUMN IF NOT EXISTS arrival_window_minutes integer CHECK (arrival_window_minutes >= 0);
+
+-- Backfill existing jobs with the per-type defaults the app uses
+UPDATE public.jobs SET duration_minutes = CASE job_type WHEN 'hedge' THEN 180 WHEN 'quote' THEN 30 ELSE 60 END
+WHERE duration_minutes IS NULL;
+UPDATE public.jobs SET arrival_window_minutes = CASE job_type WHEN 'hedge' THEN 60 ELSE 30 END
+WHERE arrival_window_minutes IS NULL;
@@ -0,0 +1,41 @@
+-- Login Lockout Setup for JLS Lawn Maintenance
+-- Run this in Supabase SQL Editor (jobs database) to slow down password guessing:
+-- the auth edge function counts failed sign-ins per IP and per username and
+-- locks each out for longer after every further failure
+
+-- One row per "ip:<address>" or "user:<username>" with recent failures
+CREATE TABLE IF NOT EXISTS public.login_lockouts (
+  key text PRIMARY KEY,
+  failures integer NOT NULL DEFAULT 0,
+  last_failure_at timestamptz NOT NULL DEFAULT now(),
+  locked_until timestamptz
+);
+
+-- Enable Row Level Security with no public policy:
+-- only the auth edge function (service key) can read or write lockouts
+ALTER TABLE public.login_lockouts ENABLE ROW LEVEL SECURITY;
+
+-- Counts a failed sign-in against each key in one atomic step, so parallel
+-- guesses can't race past the limit. Failures older than a day are forgotten.
+-- From the p_threshold-th failure the key is locked for p_base_seconds,
+-- doubling with each further failure up to p_max_seconds.
+CREATE OR REPLACE FUNCTION public.record_login_failure(
+  p_keys text[], p_threshold integer, p_base_seconds integer, p_max_seconds integer
+)
+RETURNS SETOF public.login_lockouts
+LANGUAGE sql
+AS $$
+  INSERT INTO public.login_lockouts AS l (key, failures, last_failure_at)
+  SELECT unnest(p_keys), 1, now()
+  ON CONFLICT (key) DO UPDATE SET
+    failures = CASE WHEN l.last_failure_at < now() - interval '1 day' THEN 1 ELSE l.failures + 1 END,
+    last_failure_at = now(),
+    locked_until = CASE
+      WHEN l.last_failure_at >= now() - interval '1 day' AND l.failures + 1 >= p_threshold
+        THEN now() + make_interval(secs => least(p_base_seconds * power(2, l.failures + 1 - p_threshold), p_max_seconds))
+      ELSE l.locked_until
+    END
+  RETURNING l.*;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.record_login_failure(text[], integer, integer, integer) FROM PUBLIC, anon, authenticated;
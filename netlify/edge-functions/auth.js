@@ -1,49 +1,395 @@
-export default async (request, context) => {
-    // 1. Check for the "jls_auth" cookie
-    const authCookie = context.cookies.get("jls_auth");
+// Session cookie: "<payload>.<signature>" where payload is base64url JSON
+// { v: secret version, sub: username, bootstrap, iat, exp } (seconds) and
+// signature is HMAC-SHA256 of the payload. `bootstrap` is true only for the
+// shared BASIC_AUTH_USER login, which is always an owner. Bumping
+// AUTH_SECRET_VERSION (or changing AUTH_SECRET) logs out every device. Netlify functions verify the same token
+// in netlify/lib/auth.js, and look up the user's role there.
+//
+// Scripts skip the browser login with "Authorization: Bearer jls_..." API
+// tokens, which only reach the API paths their scopes cover.
+//
+// The website's quote form posts to PUBLIC_PATHS without any login; that
+// function does its own validation and rate limiting.
+const SESSION_COOKIE = "jls_auth";
+const SESSION_MAX_AGE = 60 * 60 * 24 * 30; // 30 days
 
-    // If the cookie acts as a "remember me" token, you might want to validate it.
-    // For simplicity here, existence is enough, but in production, 
-    // you might verify a signed token.
-    if (authCookie) {
-        return context.next();
+const PUBLIC_PATHS = ["/api/quote-requests"];
+
+// Failed Basic Auth sign-ins are counted per IP and per username (see
+// login_lockout_setup.sql). From the 5th failure a key is locked for 30s,
+// doubling with each further failure, up to an hour.
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_SECONDS = 30;
+const LOCKOUT_MAX_SECONDS = 60 * 60;
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL") || "https://eplsowiliweiilcoomtd.supabase.co";
+
+const encoder = new TextEncoder();
+
+function base64UrlEncode(bytes) {
+    let binary = "";
+    for (const byte of new Uint8Array(bytes)) binary += String.fromCharCode(byte);
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlDecode(text) {
+    const padded = text.replace(/-/g, "+").replace(/_/g, "/") + "===".slice((text.length + 3) % 4);
+    return atob(padded);
+}
+
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Compares two strings in time that depends only on their length.
+ */
+function timingSafeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+}
+
+/**
+ * Compares two credentials in constant time: both are hashed first, so
+ * neither their contents nor their lengths change how long it takes.
+ */
+async function credentialsEqual(a, b) {
+    const [hashA, hashB] = await Promise.all([sha256Hex(a), sha256Hex(b)]);
+    return timingSafeEqual(hashA, hashB);
+}
+
+async function sign(payload, secret) {
+    const key = await crypto.subtle.importKey(
+        "raw",
+        encoder.encode(secret),
+        { name: "HMAC", hash: "SHA-256" },
+        false,
+        ["sign"],
+    );
+    return base64UrlEncode(await crypto.subtle.sign("HMAC", key, encoder.encode(payload)));
+}
+
+async function createSessionToken({ username, bootstrap }, secret, version) {
+    const now = Math.floor(Date.now() / 1000);
+    const claims = { v: version, sub: username, bootstrap, iat: now, exp: now + SESSION_MAX_AGE };
+    const payload = base64UrlEncode(encoder.encode(JSON.stringify(claims)));
+    return `${payload}.${await sign(payload, secret)}`;
+}
+
+/**
+ * True when the token was signed with the current secret and version and has not expired.
+ */
+async function verifySessionToken(token, secret, version) {
+    const [payload, signature, extra] = (token || "").split(".");
+    if (!payload || !signature || extra !== undefined) return false;
+    if (!timingSafeEqual(signature, await sign(payload, secret))) return false;
+
+    let claims;
+    try {
+        claims = JSON.parse(base64UrlDecode(payload));
+    } catch {
+        return false;
     }
 
-    // 2. If no cookie, check Basic Auth header
-    const authHeader = request.headers.get("authorization");
+    const now = Math.floor(Date.now() / 1000);
+    // Sessions from before the bootstrap claim sign in again
+    return claims.v === version && typeof claims.sub === "string" && typeof claims.bootstrap === "boolean" &&
+        Number.isInteger(claims.iat) && claims.iat <= now + 60 &&
+        Number.isInteger(claims.exp) && claims.exp > now;
+}
+
+/**
+ * Checks a password against a "pbkdf2_sha256$<iterations>$<salt>$<hash>" hash
+ * (written by hashPassword in netlify/lib/auth.js).
+ */
+async function verifyPassword(password, stored) {
+    const [scheme, iterations, salt, hash] = (stored || "").split("$");
+    if (scheme !== "pbkdf2_sha256" || !iterations || !salt || !hash) return false;
 
-    // Get credentials from environment variables
+    const key = await crypto.subtle.importKey("raw", encoder.encode(password), "PBKDF2", false, ["deriveBits"]);
+    const bits = await crypto.subtle.deriveBits(
+        { name: "PBKDF2", hash: "SHA-256", salt: base64ToBytes(salt), iterations: Number(iterations) },
+        key,
+        256,
+    );
+    return timingSafeEqual(btoa(String.fromCharCode(...new Uint8Array(bits))), hash);
+}
+
+/**
+ * Checks Basic Auth credentials: the shared bootstrap login from the
+ * environment, or an active account in app_users.
+ * @returns {Promise<Object|null>} { username, bootstrap } when the credentials are valid
+ */
+async function authenticate(user, pass) {
     const envUser = Deno.env.get("BASIC_AUTH_USER");
     const envPass = Deno.env.get("BASIC_AUTH_PASSWORD");
+    if (envUser && envPass) {
+        // Check both before deciding, so a right username fails no faster than a wrong one
+        const [userMatches, passMatches] = await Promise.all([
+            credentialsEqual(user, envUser),
+            credentialsEqual(pass, envPass),
+        ]);
+        if (userMatches && passMatches) return { username: user, bootstrap: true };
+    }
 
-    // If env vars are not set, fail open or closed? 
-    // Safety: fail closed (deny access) if not configured, or log error.
-    if (!envUser || !envPass) {
-        console.error("Basic Auth credentials not set in environment");
-        return new Response("Server misconfiguration", { status: 500 });
+    const serviceKey = Deno.env.get("SUPABASE_SERVICE_KEY");
+    if (!serviceKey) return null;
+
+    // Account usernames are stored lowercase
+    const username = user.toLowerCase();
+    const response = await fetch(
+        `${SUPABASE_URL}/rest/v1/app_users?username=eq.${encodeURIComponent(username)}&active=is.true&select=password_hash`,
+        { headers: { apikey: serviceKey, Authorization: `Bearer ${serviceKey}` } },
+    );
+    if (!response.ok) {
+        console.error("User lookup failed:", response.status);
+        return null;
+    }
+
+    const [account] = await response.json();
+    return account && await verifyPassword(pass, account.password_hash) ? { username, bootstrap: false } : null;
+}
+
+/**
+ * The token scope a request needs, or null for paths tokens can never reach.
+ * Keep in step with the scope checks in the jobs function.
+ */
+function requiredScope(method, pathname) {
+    const read = method === "GET" || method === "HEAD";
+    if (/^\/api\/jobs(\/|$)/.test(pathname)) return read ? "jobs:read" : "jobs:write";
+    if (/^\/api\/quotes(\/|$)/.test(pathname)) return read ? "quotes:read" : null;
+    return null;
+}
+
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest("SHA-256", encoder.encode(text));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Looks up an unrevoked API token (stored as its SHA-256 hash).
+ * @returns {Promise<string[]|null>} The token's scopes, or null if it is not valid
+ */
+async function tokenScopes(token) {
+    const serviceKey = Deno.env.get("SUPABASE_SERVICE_KEY");
+    if (!serviceKey || !token.startsWith("jls_")) return null;
+
+    const response = await fetch(
+        `${SUPABASE_URL}/rest/v1/api_tokens?token_hash=eq.${await sha256Hex(token)}&revoked_at=is.null&select=scopes`,
+        { headers: { apikey: serviceKey, Authorization: `Bearer ${serviceKey}` } },
+    );
+    if (!response.ok) {
+        console.error("Token lookup failed:", response.status);
+        return null;
+    }
+
+    const [row] = await response.json();
+    return row ? row.scopes : null;
+}
+
+function supabaseHeaders(serviceKey) {
+    return { apikey: serviceKey, Authorization: `Bearer ${serviceKey}`, "Content-Type": "application/json" };
+}
+
+// PostgREST "in" list with each value quoted, e.g. ("ip:::1","user:jake")
+function inList(values) {
+    return `(${values.map(value => `"${value.replace(/["\\]/g, "\\$&")}"`).join(",")})`;
+}
+
+function secondsUntil(timestamp) {
+    return timestamp ? Math.ceil((new Date(timestamp).getTime() - Date.now()) / 1000) : 0;
+}
+
+/**
+ * Seconds until every key may try again (0 when none is locked out).
+ * Lockouts are skipped, not enforced, if the database can't be reached, so an
+ * outage never locks the owners out.
+ */
+async function lockoutRemaining(keys) {
+    const serviceKey = Deno.env.get("SUPABASE_SERVICE_KEY");
+    if (!serviceKey) return 0;
+
+    try {
+        const response = await fetch(
+            `${SUPABASE_URL}/rest/v1/login_lockouts?key=in.${encodeURIComponent(inList(keys))}&select=locked_until`,
+            { headers: supabaseHeaders(serviceKey) },
+        );
+        if (!response.ok) throw new Error(`status ${response.status}`);
+        const rows = await response.json();
+        return Math.max(0, ...rows.map(row => secondsUntil(row.locked_until)));
+    } catch (error) {
+        console.error("Lockout check failed:", error.message);
+        return 0;
     }
+}
+
+/**
+ * Counts a failed sign-in against each key.
+ * @returns {Promise<number>} Seconds the keys are now locked out for (0 if not locked)
+ */
+async function recordFailure(keys) {
+    const serviceKey = Deno.env.get("SUPABASE_SERVICE_KEY");
+    if (!serviceKey) return 0;
 
-    if (authHeader) {
-        const match = authHeader.match(/^Basic (.+)$/);
-        if (match) {
-            const [user, pass] = atob(match[1]).split(":");
-            if (user === envUser && pass === envPass) {
-                // Success! Set a long-lived cookie
-                context.cookies.set({
-                    name: "jls_auth",
-                    value: "true", // In a real app, use a secure signed token
-                    path: "/",
-                    httpOnly: true,
-                    secure: true,
-                    sameSite: "Strict",
-                    maxAge: 60 * 60 * 24 * 30, // 30 days
-                });
-                return context.next();
+    try {
+        const response = await fetch(`${SUPABASE_URL}/rest/v1/rpc/record_login_failure`, {
+            method: "POST",
+            headers: supabaseHeaders(serviceKey),
+            body: JSON.stringify({
+                p_keys: keys,
+                p_threshold: LOCKOUT_THRESHOLD,
+                p_base_seconds: LOCKOUT_BASE_SECONDS,
+                p_max_seconds: LOCKOUT_MAX_SECONDS,
+            }),
+        });
+        if (!response.ok) throw new Error(`status ${response.status}`);
+
+        let lockedFor = 0;
+        for (const row of await response.json()) {
+            const seconds = secondsUntil(row.locked_until);
+            if (seconds > 0 && row.failures >= LOCKOUT_THRESHOLD) {
+                console.warn(`Sign-in lockout: ${row.key} locked for ${seconds}s after ${row.failures} failed attempts`);
             }
+            lockedFor = Math.max(lockedFor, seconds);
+        }
+        return lockedFor;
+    } catch (error) {
+        console.error("Recording failed sign-in failed:", error.message);
+        return 0;
+    }
+}
+
+/**
+ * Forgets earlier failures once someone signs in.
+ */
+async function clearFailures(keys) {
+    const serviceKey = Deno.env.get("SUPABASE_SERVICE_KEY");
+    if (!serviceKey) return;
+
+    try {
+        await fetch(`${SUPABASE_URL}/rest/v1/login_lockouts?key=in.${encodeURIComponent(inList(keys))}`, {
+            method: "DELETE",
+            headers: { ...supabaseHeaders(serviceKey), Prefer: "return=minimal" },
+        });
+    } catch (error) {
+        console.error("Clearing failed sign-ins failed:", error.message);
+    }
+}
+
+function tooManyAttempts(seconds) {
+    return new Response("Too many failed sign-in attempts. Try again later.", {
+        status: 429,
+        headers: { "Retry-After": String(seconds), "Cache-Control": "no-store" },
+    });
+}
+
+function clearSessionCookie(context) {
+    context.cookies.delete({ name: SESSION_COOKIE, path: "/" });
+}
+
+export default async (request, context) => {
+    // Get the session signing secret from environment variables
+    const secret = Deno.env.get("AUTH_SECRET");
+    const secretVersion = Deno.env.get("AUTH_SECRET_VERSION") || "1";
+
+    // Safety: fail closed (deny access) if not configured
+    if (!secret) {
+        console.error("Auth not configured: set AUTH_SECRET");
+        return new Response("Server misconfiguration", { status: 500 });
+    }
+
+    const pathname = new URL(request.url).pathname;
+
+    // 1. /logout clears the session. Answer with a 401 without reading the
+    // Authorization header so the browser forgets its cached login too.
+    if (pathname === "/logout") {
+        clearSessionCookie(context);
+        return new Response("Logged out", {
+            status: 401,
+            headers: {
+                "WWW-Authenticate": 'Basic realm="JLS Lawn Tracker"',
+                "Cache-Control": "no-store",
+            },
+        });
+    }
+
+    // 2. Public endpoints need no login
+    if (PUBLIC_PATHS.includes(pathname.replace(/\/$/, ""))) {
+        return context.next();
+    }
+
+    // 3. A valid signed session cookie lets the request through
+    const sessionToken = context.cookies.get(SESSION_COOKIE);
+    if (sessionToken) {
+        if (await verifySessionToken(sessionToken, secret, secretVersion)) {
+            return context.next();
+        }
+        // Forged, expired or signed with a retired secret
+        clearSessionCookie(context);
+    }
+
+    const authHeader = request.headers.get("authorization");
+
+    // 4. API tokens: no cookie and no login prompt, just JSON errors for scripts
+    const bearer = authHeader?.match(/^Bearer\s+(\S+)$/i);
+    if (bearer) {
+        const scope = requiredScope(request.method, pathname);
+        const scopes = await tokenScopes(bearer[1]);
+        if (!scopes) {
+            return Response.json({ error: "Invalid or revoked API token" }, { status: 401 });
+        }
+        if (!scope) {
+            return Response.json({ error: "API tokens cannot be used here" }, { status: 403 });
+        }
+        if (!scopes.includes(scope)) {
+            return Response.json({ error: `This token does not have the ${scope} scope` }, { status: 403 });
+        }
+        return context.next();
+    }
+
+    // 5. Otherwise check the Basic Auth header, unless this IP or username is locked out
+    const match = authHeader?.match(/^Basic (.+)$/);
+    if (match) {
+        let decoded = "";
+        try {
+            decoded = atob(match[1]);
+        } catch {
+            // Not base64: counts as a failed attempt below
         }
+
+        // Passwords may contain ":", usernames may not
+        const separator = decoded.indexOf(":");
+        const attemptedUser = separator === -1 ? "" : decoded.slice(0, separator).trim();
+        const keys = [`ip:${context.ip || "unknown"}`];
+        if (attemptedUser) keys.push(`user:${attemptedUser.toLowerCase()}`);
+
+        const remaining = await lockoutRemaining(keys);
+        if (remaining > 0) return tooManyAttempts(remaining);
+
+        const login = attemptedUser ? await authenticate(attemptedUser, decoded.slice(separator + 1)) : null;
+        if (login) {
+            await clearFailures(keys);
+
+            // Success! Start a signed session
+            context.cookies.set({
+                name: SESSION_COOKIE,
+                value: await createSessionToken(login, secret, secretVersion),
+                path: "/",
+                httpOnly: true,
+                secure: true,
+                sameSite: "Strict",
+                maxAge: SESSION_MAX_AGE,
+            });
+            return context.next();
+        }
+
+        const lockedFor = await recordFailure(keys);
+        if (lockedFor > 0) return tooManyAttempts(lockedFor);
     }
 
-    // 3. If no valid auth, return 401 to prompt browser login
+    // 6. If no valid auth, return 401 to prompt browser login
     return new Response("Access Denied", {
         status: 401,
         headers: {
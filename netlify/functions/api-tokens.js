@@ -0,0 +1,207 @@
+// Netlify Function: API Tokens
+// Owners create and revoke the Bearer tokens scripts use instead of the
+// browser login. Tokens are stored hashed and shown once, when created.
+
+const { TOKEN_SCOPES, createApiToken, getRequestUser } = require('../lib/auth');
+
+const SUPABASE_URL = process.env.SUPABASE_URL || 'https://eplsowiliweiilcoomtd.supabase.co';
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+// Columns safe to send to the browser (never the token hash)
+const PUBLIC_COLUMNS = 'id,name,token_prefix,scopes,created_by,created_at,last_used_at,revoked_at';
+
+// api_tokens.id is a uuid; anything else would make PostgREST fail the query
+const TOKEN_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ============================================================
+// Supabase Helpers
+// ============================================================
+
+async function supabaseRequest(path, options = {}) {
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        method: options.method || 'GET',
+        headers: {
+            'apikey': SUPABASE_KEY,
+            'Authorization': `Bearer ${SUPABASE_KEY}`,
+            'Content-Type': 'application/json',
+            'Prefer': options.prefer || 'return=representation'
+        },
+        body: options.body ? JSON.stringify(options.body) : undefined
+    });
+
+    if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`Supabase error: ${response.status} - ${error}`);
+    }
+
+    if (response.status === 204) {
+        return null;
+    }
+
+    return response.json();
+}
+
+// ============================================================
+// Validation
+// ============================================================
+
+/**
+ * Validates a new token request.
+ * @returns {Array} [{ field, message }], empty when valid
+ */
+function validateToken(body) {
+    const errors = [];
+
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 60) {
+        errors.push({ field: 'name', message: 'is required (up to 60 characters)' });
+    }
+    if (!Array.isArray(body.scopes) || body.scopes.length === 0 ||
+        !body.scopes.every(scope => TOKEN_SCOPES.includes(scope))) {
+        errors.push({ field: 'scopes', message: `must be one or more of: ${TOKEN_SCOPES.join(', ')}` });
+    }
+
+    return errors;
+}
+
+// ============================================================
+// CORS Headers
+// ============================================================
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS'
+};
+
+// ============================================================
+// Main Handler
+// ============================================================
+
+exports.handler = async (event, context) => {
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 204, headers: corsHeaders, body: '' };
+    }
+
+    if (!SUPABASE_KEY) {
+        return {
+            statusCode: 500,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: 'Server configuration error: Missing SUPABASE_SERVICE_KEY' })
+        };
+    }
+
+    try {
+        const path = event.path.replace('/.netlify/functions/api-tokens', '').replace('/api/tokens', '');
+        const segments = path.split('/').filter(Boolean);
+
+        // Tokens can't mint or revoke tokens: only signed-in owners
+        const user = await getRequestUser(event);
+        if (!user) {
+            return {
+                statusCode: 401,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Sign in to continue' })
+            };
+        }
+        if (user.role !== 'owner') {
+            return {
+                statusCode: 403,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Only owners can manage API tokens' })
+            };
+        }
+
+        // GET /api/tokens - List tokens, newest first, including revoked ones
+        if (event.httpMethod === 'GET' && segments.length === 0) {
+            const tokens = await supabaseRequest(`api_tokens?select=${PUBLIC_COLUMNS}&order=created_at.desc`);
+
+            return {
+                statusCode: 200,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify(tokens)
+            };
+        }
+
+        // POST /api/tokens - Create a token; the response is the only time it is shown
+        if (event.httpMethod === 'POST' && segments.length === 0) {
+            let body;
+            try {
+                body = JSON.parse(event.body || '{}') || {};
+            } catch (error) {
+                body = {};
+            }
+
+            const errors = validateToken(body);
+            if (errors.length > 0) {
+                return {
+                    statusCode: 400,
+                    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Validation failed', fields: errors })
+                };
+            }
+
+            const { token, tokenHash, tokenPrefix } = createApiToken();
+            const [created] = await supabaseRequest(`api_tokens?select=${PUBLIC_COLUMNS}`, {
+                method: 'POST',
+                body: {
+                    name: body.name.trim(),
+                    token_hash: tokenHash,
+                    token_prefix: tokenPrefix,
+                    scopes: [...new Set(body.scopes)],
+                    created_by: user.name
+                }
+            });
+
+            return {
+                statusCode: 201,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...created, token })
+            };
+        }
+
+        // DELETE /api/tokens/:id - Revoke a token (kept in the list as revoked)
+        if (event.httpMethod === 'DELETE' && segments.length === 1) {
+            const tokenId = segments[0];
+            if (!TOKEN_ID_PATTERN.test(tokenId)) {
+                return {
+                    statusCode: 400,
+                    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Validation failed', fields: [{ field: 'id', message: 'must be a token id (UUID)' }] })
+                };
+            }
+
+            const [revoked] = await supabaseRequest(
+                `api_tokens?id=eq.${encodeURIComponent(tokenId)}&revoked_at=is.null&select=${PUBLIC_COLUMNS}`,
+                { method: 'PATCH', body: { revoked_at: new Date().toISOString() } }
+            );
+
+            if (!revoked) {
+                return {
+                    statusCode: 404,
+                    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Token not found or already revoked' })
+                };
+            }
+
+            return {
+                statusCode: 200,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify(revoked)
+            };
+        }
+
+        return {
+            statusCode: 404,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: 'Not found', path: event.path, method: event.httpMethod })
+        };
+
+    } catch (error) {
+        console.error('API Tokens Error:', error);
+        return {
+            statusCode: 500,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: error.message })
+        };
+    }
+};
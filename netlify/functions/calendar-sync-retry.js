@@ -0,0 +1,23 @@
+// Netlify Scheduled Function: Calendar Sync Retry
+// Retries Google Calendar syncs for jobs left pending or failed (schedule in netlify.toml)
+
+const { retryCalendarSyncs } = require('./jobs');
+
+exports.handler = async () => {
+    if (!process.env.SUPABASE_SERVICE_KEY) {
+        console.error('Calendar sync retry skipped: Missing SUPABASE_SERVICE_KEY');
+        return { statusCode: 500 };
+    }
+
+    try {
+        const sync = await retryCalendarSyncs();
+        const synced = sync.filter(result => result.status === 'created' || result.status === 'updated');
+        const failed = sync.filter(result => result.status === 'failed');
+        console.log(`📅 Calendar sync retry: ${synced.length} of ${sync.length} job(s) synced`);
+        failed.forEach(result => console.warn('Calendar sync still failing:', result.id, result.error));
+        return { statusCode: 200 };
+    } catch (error) {
+        console.error('Calendar sync retry error:', error);
+        return { statusCode: 500 };
+    }
+};
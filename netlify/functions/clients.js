@@ -0,0 +1,348 @@
+// Netlify Function: Clients API
+// One record per client (name, phones, emails, usual address, notes and how they
+// like to be contacted). Jobs point at a client with client_id. Owners only.
+// The profile route gathers a client's jobs, messages and open quote requests
+// (from the contacts database) for the client screen.
+
+const { getRequestUser } = require('../lib/auth');
+const { isContactsConfigured, contactsRequest } = require('../lib/contacts');
+
+const SUPABASE_URL = process.env.SUPABASE_URL || 'https://eplsowiliweiilcoomtd.supabase.co';
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+// Keep in step with the preferred_contact check in clients_setup.sql
+const CONTACT_METHODS = ['phone', 'text', 'email'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_CONTACTS = 5; // phones or emails per client
+
+const CLIENT_FIELDS = ['name', 'phones', 'emails', 'address', 'notes', 'preferred_contact'];
+
+// Quote requests nobody has turned into work or dismissed yet
+const OPEN_QUOTE_STATUSES = ['new', 'contacted'];
+
+// ============================================================
+// Supabase Helpers
+// ============================================================
+
+async function supabaseRequest(path, options = {}) {
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        method: options.method || 'GET',
+        headers: {
+            'apikey': SUPABASE_KEY,
+            'Authorization': `Bearer ${SUPABASE_KEY}`,
+            'Content-Type': 'application/json',
+            'Prefer': options.prefer || 'return=representation'
+        },
+        body: options.body ? JSON.stringify(options.body) : undefined
+    });
+
+    if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`Supabase error: ${response.status} - ${error}`);
+    }
+
+    if (response.status === 204) {
+        return null;
+    }
+
+    return response.json();
+}
+
+// ============================================================
+// Validation
+// ============================================================
+
+// Thrown for request bodies that fail validation; surfaced as a 400
+class ValidationError extends Error {
+    constructor(fields) {
+        super('Validation failed');
+        this.fields = fields;
+    }
+}
+
+// Trims each entry and drops blanks and repeats
+function cleanList(values) {
+    return [...new Set(values.map(value => value.trim()).filter(Boolean))];
+}
+
+/**
+ * Validates a new client, or the fields of a client update when `partial` is set.
+ * @returns {Array} [{ field, message }], empty when valid
+ */
+function validateClient(client, { partial = false } = {}) {
+    const errors = [];
+    const has = field => client[field] !== undefined;
+    const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+    if (!partial || has('name')) {
+        if (typeof client.name !== 'string' || !client.name.trim() || client.name.length > 100) {
+            errors.push({ field: 'name', message: 'is required (up to 100 characters)' });
+        }
+    }
+    if (has('phones')) {
+        if (!isStringList(client.phones) || cleanList(client.phones).length > MAX_CONTACTS) {
+            errors.push({ field: 'phones', message: `must be a list of up to ${MAX_CONTACTS} phone numbers` });
+        }
+    }
+    if (has('emails')) {
+        if (!isStringList(client.emails) || cleanList(client.emails).length > MAX_CONTACTS) {
+            errors.push({ field: 'emails', message: `must be a list of up to ${MAX_CONTACTS} email addresses` });
+        } else if (!cleanList(client.emails).every(email => EMAIL_PATTERN.test(email))) {
+            errors.push({ field: 'emails', message: 'must all be valid email addresses' });
+        }
+    }
+    ['address', 'notes'].filter(has).forEach(field => {
+        if (client[field] !== null && typeof client[field] !== 'string') {
+            errors.push({ field, message: 'must be text' });
+        }
+    });
+    if (has('preferred_contact') && client.preferred_contact !== null &&
+        !CONTACT_METHODS.includes(client.preferred_contact)) {
+        errors.push({ field: 'preferred_contact', message: `must be one of: ${CONTACT_METHODS.join(', ')}` });
+    }
+
+    Object.keys(client).filter(field => !CLIENT_FIELDS.includes(field)).forEach(field => {
+        errors.push({ field, message: 'is not a client field' });
+    });
+
+    return errors;
+}
+
+/**
+ * Maps validated input to clients columns, tidying whitespace and blanks.
+ */
+function toClientRow(client) {
+    const row = {};
+    if (client.name !== undefined) row.name = client.name.trim();
+    if (client.phones !== undefined) row.phones = cleanList(client.phones);
+    if (client.emails !== undefined) row.emails = cleanList(client.emails).map(email => email.toLowerCase());
+    ['address', 'notes'].forEach(field => {
+        if (client[field] !== undefined) row[field] = (client[field] || '').trim() || null;
+    });
+    if (client.preferred_contact !== undefined) row.preferred_contact = client.preferred_contact;
+    return row;
+}
+
+function parseBody(event) {
+    try {
+        const body = JSON.parse(event.body || '');
+        if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('not an object');
+        return body;
+    } catch (error) {
+        throw new ValidationError([{ field: null, message: 'Request body must be a JSON object' }]);
+    }
+}
+
+// ============================================================
+// Open Quotes
+// ============================================================
+
+// Digits without a leading US country code, so "(555) 123-4567" matches "+1 555.123.4567"
+function phoneDigits(phone) {
+    return String(phone || '').replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+}
+
+/**
+ * The client's quote requests still waiting on an answer: open requests sent
+ * from one of their emails or phone numbers, or linked to one of their jobs (a
+ * site visit booked to price the work). Open requests are few, so they are matched here.
+ * @returns {Promise<Array|null>} Newest first, or null when the contacts database can't be read
+ */
+async function findOpenQuotes(client, jobs) {
+    if (!isContactsConfigured()) return null;
+
+    const emails = new Set(client.emails.map(email => email.toLowerCase()));
+    const phones = new Set(client.phones.map(phoneDigits).filter(Boolean));
+    const linked = new Set(jobs.filter(job => job.quote_request_id).map(job => String(job.quote_request_id)));
+
+    try {
+        const open = await contactsRequest(
+            `quote_requests?status=in.(${OPEN_QUOTE_STATUSES.join(',')})` +
+            '&select=id,created_at,name,email,phone,service,status&order=created_at.desc'
+        );
+        return open.filter(quote =>
+            linked.has(String(quote.id)) ||
+            emails.has((quote.email || '').toLowerCase()) ||
+            phones.has(phoneDigits(quote.phone))
+        );
+    } catch (error) {
+        console.error('Loading open quotes failed:', error.message);
+        return null;
+    }
+}
+
+// ============================================================
+// CORS Headers
+// ============================================================
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, OPTIONS'
+};
+
+// ============================================================
+// Main Handler
+// ============================================================
+
+exports.handler = async (event, context) => {
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 204, headers: corsHeaders, body: '' };
+    }
+
+    if (!SUPABASE_KEY) {
+        return {
+            statusCode: 500,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: 'Server configuration error: Missing SUPABASE_SERVICE_KEY' })
+        };
+    }
+
+    try {
+        const path = event.path.replace('/.netlify/functions/clients', '').replace('/api/clients', '');
+        const segments = path.split('/').filter(Boolean);
+
+        const user = await getRequestUser(event);
+        if (!user) {
+            return {
+                statusCode: 401,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Sign in to continue' })
+            };
+        }
+        if (user.role !== 'owner') {
+            return {
+                statusCode: 403,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Only owners can manage clients' })
+            };
+        }
+
+        // GET /api/clients - Every client by name (?search= to match part of a name)
+        if (event.httpMethod === 'GET' && segments.length === 0) {
+            const search = ((event.queryStringParameters || {}).search || '').trim();
+            const filter = search ? `&name=ilike.${encodeURIComponent(`*${search.replace(/\*/g, '')}*`)}` : '';
+            const clients = await supabaseRequest(`clients?select=*${filter}&order=name.asc`);
+
+            return {
+                statusCode: 200,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify(clients)
+            };
+        }
+
+        // GET /api/clients/:id - One client
+        if (event.httpMethod === 'GET' && segments.length === 1) {
+            const [client] = await supabaseRequest(`clients?id=eq.${encodeURIComponent(segments[0])}&select=*`);
+            if (!client) {
+                return {
+                    statusCode: 404,
+                    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Client not found' })
+                };
+            }
+
+            return {
+                statusCode: 200,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify(client)
+            };
+        }
+
+        // GET /api/clients/:id/profile - The client with every job for them (oldest first),
+        // the messages sent about those jobs and their open quote requests (newest first;
+        // quotes is null if the contacts database can't be read)
+        if (event.httpMethod === 'GET' && segments.length === 2 && segments[1] === 'profile') {
+            const clientId = encodeURIComponent(segments[0]);
+            const [client] = await supabaseRequest(`clients?id=eq.${clientId}&select=*`);
+            if (!client) {
+                return {
+                    statusCode: 404,
+                    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Client not found' })
+                };
+            }
+
+            const jobs = await supabaseRequest(`jobs?client_id=eq.${clientId}&select=*&order=start_time.asc,id.asc`);
+            const messages = jobs.length > 0
+                ? await supabaseRequest(
+                    `job_history?action=eq.message&job_id=in.(${jobs.map(job => job.id).join(',')})` +
+                    '&select=job_id,actor,changes,created_at&order=created_at.desc'
+                )
+                : [];
+            const quotes = await findOpenQuotes(client, jobs);
+
+            return {
+                statusCode: 200,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ client, jobs, messages, quotes })
+            };
+        }
+
+        // POST /api/clients - Create a client
+        if (event.httpMethod === 'POST' && segments.length === 0) {
+            const body = parseBody(event);
+            const errors = validateClient(body);
+            if (errors.length > 0) throw new ValidationError(errors);
+
+            const [created] = await supabaseRequest('clients?select=*', {
+                method: 'POST',
+                body: toClientRow(body)
+            });
+
+            return {
+                statusCode: 201,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify(created)
+            };
+        }
+
+        // PATCH /api/clients/:id - Update some of a client's details
+        if (event.httpMethod === 'PATCH' && segments.length === 1) {
+            const updates = parseBody(event);
+            const errors = validateClient(updates, { partial: true });
+            if (errors.length > 0) throw new ValidationError(errors);
+
+            const [updated] = await supabaseRequest(
+                `clients?id=eq.${encodeURIComponent(segments[0])}&select=*`,
+                { method: 'PATCH', body: { ...toClientRow(updates), updated_at: new Date().toISOString() } }
+            );
+            if (!updated) {
+                return {
+                    statusCode: 404,
+                    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Client not found' })
+                };
+            }
+
+            return {
+                statusCode: 200,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify(updated)
+            };
+        }
+
+        return {
+            statusCode: 404,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: 'Not found', path: event.path, method: event.httpMethod })
+        };
+
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return {
+                statusCode: 400,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: error.message, fields: error.fields })
+            };
+        }
+
+        console.error('Clients API Error:', error);
+        return {
+            statusCode: 500,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: error.message })
+        };
+    }
+};
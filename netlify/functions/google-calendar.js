@@ -3,146 +3,425 @@
  * Syncs lawn care jobs to Google Calendar for family visibility
  */
 
-// Google Calendar API configuration
-const GOOGLE_CALENDAR_ID = process.env.GOOGLE_CALENDAR_ID || 'jacksum81@gmail.com';
+const { toLocalDateTime, fromLocalDateTime } = require('../lib/datetime');
+const { TRACKER_EVENT_MARKER, jobToCalendarEvent } = require('../lib/calendar-event');
+const { GOOGLE_CALENDAR_ID, isCalendarConfigured, calendarRequest } = require('../lib/google-calendar-client');
+const { getRequestUser } = require('../lib/auth');
 
-// Service account credentials from environment variables
-const SERVICE_ACCOUNT_EMAIL = process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL;
-const SERVICE_ACCOUNT_PRIVATE_KEY = process.env.GOOGLE_SERVICE_ACCOUNT_PRIVATE_KEY;
+// Jobs database (needed to pull calendar changes back into jobs)
+const SUPABASE_URL = process.env.SUPABASE_URL || 'https://eplsowiliweiilcoomtd.supabase.co';
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
 
-// JWT library for Google API authentication (we'll use a simple implementation)
-// Since Netlify Functions don't have built-in JWT, we'll use the Web Crypto API
+/**
+ * Makes an authenticated request to the jobs Supabase REST API
+ */
+async function supabaseRequest(path, options = {}) {
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        method: options.method || 'GET',
+        headers: {
+            'apikey': SUPABASE_KEY,
+            'Authorization': `Bearer ${SUPABASE_KEY}`,
+            'Content-Type': 'application/json',
+            'Prefer': options.prefer || 'return=representation'
+        },
+        body: options.body ? JSON.stringify(options.body) : undefined
+    });
+
+    if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`Supabase error: ${response.status} - ${error}`);
+    }
+
+    if (response.status === 204) {
+        return null;
+    }
+
+    return response.json();
+}
+
+/**
+ * Works out which job fields a Calendar event would change.
+ * Returns an empty object when the event already matches the job (e.g. the
+ * echo of a change the tracker pushed itself).
+ */
+function calendarEventToJobChanges(calendarEvent, job) {
+    const changes = {};
+
+    // Timed events only - an all-day event has no start time to pull back
+    if (calendarEvent.start?.dateTime) {
+        const startTime = toLocalDateTime(calendarEvent.start.dateTime);
+        if (startTime !== (job.start_time || '').slice(0, 16)) changes.start_time = startTime;
+    }
+
+    if (calendarEvent.summary !== undefined) {
+        // Strip the job type emoji older versions prefixed onto titles
+        const title = calendarEvent.summary.replace(/^(🌿|🌳)\s*/u, '');
+        if (title && title !== job.title) changes.title = title;
+    }
+
+    if (calendarEvent.location !== undefined && calendarEvent.location !== (job.address || '')) {
+        changes.address = calendarEvent.location;
+    }
+
+    return changes;
+}
+
+/**
+ * Lists every event changed since the stored sync token, following pagination.
+ * With no token this performs a full listing to establish one.
+ * Returns { items, nextSyncToken }; throws with status 410 when the token expired.
+ */
+async function listChangedEvents(syncToken) {
+    const items = [];
+    let pageToken = null;
+
+    while (true) {
+        const params = new URLSearchParams({ showDeleted: 'true', singleEvents: 'true', maxResults: '250' });
+        if (syncToken) params.set('syncToken', syncToken);
+        if (pageToken) params.set('pageToken', pageToken);
+
+        const page = await calendarRequest(`/events?${params}`);
+        items.push(...(page.items || []));
+
+        if (page.nextPageToken) {
+            pageToken = page.nextPageToken;
+        } else {
+            return { items, nextSyncToken: page.nextSyncToken };
+        }
+    }
+}
 
 /**
- * Creates a JWT token for Google API authentication
+ * Applies one changed Calendar event to the job linked to it.
+ * Conflict rules when both sides changed since the last sync run:
+ *   - completed jobs are never moved or cancelled from the calendar side
+ *   - otherwise the most recent edit wins; if the tracker wins, the job is
+ *     pushed back to Google so both sides agree again
+ * Returns a summary of what happened, or null if the event is not a tracker job.
  */
-async function createJWT() {
-    const header = {
-        alg: 'RS256',
-        typ: 'JWT'
-    };
-
-    const now = Math.floor(Date.now() / 1000);
-    const payload = {
-        iss: SERVICE_ACCOUNT_EMAIL,
-        sub: SERVICE_ACCOUNT_EMAIL,
-        aud: 'https://oauth2.googleapis.com/token',
-        iat: now,
-        exp: now + 3600,
-        scope: 'https://www.googleapis.com/auth/calendar.events'
-    };
-
-    // Base64url encode header and payload
-    const base64Header = Buffer.from(JSON.stringify(header)).toString('base64url');
-    const base64Payload = Buffer.from(JSON.stringify(payload)).toString('base64url');
-    const unsignedToken = `${base64Header}.${base64Payload}`;
-
-    // Sign with private key
-    const crypto = require('crypto');
-    const sign = crypto.createSign('RSA-SHA256');
-    sign.update(unsignedToken);
-
-    // Clean up the private key (handle escaped newlines from env var)
-    // Handle multiple formats: literal \n, escaped \\n, or already real newlines
-    let privateKey = SERVICE_ACCOUNT_PRIVATE_KEY;
-    // Replace literal backslash-n with actual newlines
-    privateKey = privateKey.replace(/\\n/g, '\n');
-    // Also handle double-escaped
-    privateKey = privateKey.replace(/\\\\n/g, '\n');
-    const signature = sign.sign(privateKey, 'base64url');
-
-    return `${unsignedToken}.${signature}`;
+async function applyCalendarChange(calendarEvent, lastSyncedAt) {
+    const jobs = await supabaseRequest(
+        `jobs?google_event_id=eq.${encodeURIComponent(calendarEvent.id)}&select=*`
+    );
+    const job = jobs && jobs[0];
+    if (!job) return null;
+
+    const result = { jobId: job.id, googleEventId: calendarEvent.id };
+    const localChanged = lastSyncedAt && job.updated_at && new Date(job.updated_at) > new Date(lastSyncedAt);
+    const remoteIsNewer = !job.updated_at || !calendarEvent.updated ||
+        new Date(calendarEvent.updated) > new Date(job.updated_at);
+
+    // Deleted in Google Calendar
+    if (calendarEvent.status === 'cancelled') {
+        if (job.status === 'cancelled') {
+            // Echo of a cancellation the tracker pushed (a skipped series occurrence)
+            return { ...result, action: 'unchanged' };
+        }
+        if (job.status === 'done') {
+            await supabaseRequest(`jobs?id=eq.${job.id}`, {
+                method: 'PATCH',
+                body: { google_event_id: null },
+                prefer: 'return=minimal'
+            });
+            return { ...result, action: 'unlinked', reason: 'Job already completed' };
+        }
+        if (localChanged && !remoteIsNewer) {
+            // Tracker edit is newer - recreate the event rather than cancel the job
+            const created = await calendarRequest('/events', { method: 'POST', body: jobToCalendarEvent(job) });
+            await supabaseRequest(`jobs?id=eq.${job.id}`, {
+                method: 'PATCH',
+                body: { google_event_id: created.id },
+                prefer: 'return=minimal'
+            });
+            return { ...result, action: 'conflict-kept-local', googleEventId: created.id };
+        }
+        const now = new Date().toISOString();
+        await supabaseRequest(`jobs?id=eq.${job.id}`, {
+            method: 'PATCH',
+            body: {
+                status: 'cancelled',
+                cancel_reason: 'other',
+                cancel_note: 'Deleted in Google Calendar',
+                cancelled_at: now,
+                google_event_id: null,
+                updated_at: now
+            },
+            prefer: 'return=minimal'
+        });
+        return { ...result, action: 'cancelled' };
+    }
+
+    const changes = calendarEventToJobChanges(calendarEvent, job);
+    if (Object.keys(changes).length === 0) {
+        return { ...result, action: 'unchanged' };
+    }
+
+    if (job.status === 'done' || (localChanged && !remoteIsNewer)) {
+        await calendarRequest(`/events/${calendarEvent.id}`, { method: 'PUT', body: jobToCalendarEvent(job) });
+        return {
+            ...result,
+            action: 'conflict-kept-local',
+            reason: job.status === 'done' ? 'Job already completed' : 'Tracker edit is newer'
+        };
+    }
+
+    await supabaseRequest(`jobs?id=eq.${job.id}`, {
+        method: 'PATCH',
+        body: { ...changes, updated_at: new Date().toISOString() },
+        prefer: 'return=minimal'
+    });
+    return { ...result, action: localChanged ? 'conflict-took-remote' : 'updated', changes };
 }
 
 /**
- * Gets an access token from Google using JWT
+ * Pulls changes made in Google Calendar back into the jobs table using the
+ * Calendar API's incremental sync. The sync token and the time of the last
+ * run are kept in the calendar_sync_state table.
  */
-async function getAccessToken() {
-    const jwt = await createJWT();
+async function pullCalendarChanges() {
+    const states = await supabaseRequest(
+        `calendar_sync_state?calendar_id=eq.${encodeURIComponent(GOOGLE_CALENDAR_ID)}&select=*`
+    );
+    const state = states && states[0];
+    const startedAt = new Date().toISOString();
+
+    let listing;
+    let initialized = !state?.sync_token;
+    try {
+        listing = await listChangedEvents(state?.sync_token);
+    } catch (error) {
+        if (error.status !== 410) throw error;
+        // Token expired or invalidated - start over with a fresh baseline
+        console.warn('📅 Sync token expired, performing full resync');
+        listing = await listChangedEvents(null);
+        initialized = true;
+    }
+
+    const changes = [];
+    // A full listing only establishes the baseline token; it is not a change feed
+    if (!initialized) {
+        for (const calendarEvent of listing.items) {
+            try {
+                const change = await applyCalendarChange(calendarEvent, state.last_synced_at);
+                if (change && change.action !== 'unchanged') changes.push(change);
+            } catch (error) {
+                console.error('Sync apply error:', calendarEvent.id, error.message);
+                changes.push({ googleEventId: calendarEvent.id, action: 'failed', error: error.message });
+            }
+        }
+    }
 
-    const response = await fetch('https://oauth2.googleapis.com/token', {
+    await supabaseRequest('calendar_sync_state', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: new URLSearchParams({
-            grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
-            assertion: jwt
-        })
+        body: { calendar_id: GOOGLE_CALENDAR_ID, sync_token: listing.nextSyncToken, last_synced_at: startedAt },
+        prefer: 'resolution=merge-duplicates,return=minimal'
     });
 
-    if (!response.ok) {
-        const error = await response.text();
-        throw new Error(`Failed to get access token: ${error}`);
+    return { initialized, changes };
+}
+
+// ============================================================
+// Reconciliation
+// ============================================================
+
+const RECONCILE_DEFAULT_DAYS = 60;
+const RECONCILE_MAX_DAYS = 366;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Reads the from/to dates (YYYY-MM-DD, `to` exclusive) of a reconcile request.
+ * Defaults to the next 60 days. Returns { from, to } or { error }.
+ */
+function parseReconcileRange(params = {}) {
+    const from = params.from || toLocalDateTime(new Date()).slice(0, 10);
+    const to = params.to || addDays(from, RECONCILE_DEFAULT_DAYS);
+
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+        return { error: 'from and to must be dates like 2026-05-01' };
+    }
+    if (to <= from) {
+        return { error: 'to must be after from' };
     }
+    if (to > addDays(from, RECONCILE_MAX_DAYS)) {
+        return { error: `The range can cover at most ${RECONCILE_MAX_DAYS} days` };
+    }
+    return { from, to };
+}
 
-    const data = await response.json();
-    return data.access_token;
+/**
+ * Lists the calendar's events in a range with recurring events expanded into
+ * their instances, whose ids are what series jobs link to.
+ */
+async function listEventsInRange(from, to) {
+    const items = [];
+    let pageToken = null;
+
+    do {
+        const params = new URLSearchParams({
+            singleEvents: 'true',
+            maxResults: '2500',
+            timeMin: fromLocalDateTime(from).toISOString(),
+            timeMax: fromLocalDateTime(to).toISOString()
+        });
+        if (pageToken) params.set('pageToken', pageToken);
+
+        const page = await calendarRequest(`/events?${params}`);
+        items.push(...(page.items || []));
+        pageToken = page.nextPageToken;
+    } while (pageToken);
+
+    return items;
 }
 
 /**
- * Makes an authenticated request to Google Calendar API
+ * True when a job should have an event on Google Calendar. Cancelled series
+ * occurrences are skipped instances, and unlinked jobs that are cancelled or
+ * done had their event removed on purpose.
  */
-async function calendarRequest(endpoint, options = {}) {
-    const accessToken = await getAccessToken();
-    const baseUrl = `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(GOOGLE_CALENDAR_ID)}`;
+function expectsCalendarEvent(job) {
+    if (job.google_event_id) return !(job.google_series_event_id && job.status === 'cancelled');
+    return job.status === 'pending';
+}
 
-    const response = await fetch(`${baseUrl}${endpoint}`, {
-        method: options.method || 'GET',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json',
-            ...options.headers
-        },
-        body: options.body ? JSON.stringify(options.body) : undefined
-    });
+/**
+ * Compares the jobs starting in a date range with the tracker's events over the same range.
+ * Returns {
+ *   from, to,
+ *   missing:  [{ jobId, title, startTime, googleEventId, reason: 'not_linked'|'event_deleted' }],
+ *   orphaned: [{ googleEventId, summary, start }],
+ *   drifted:  [{ jobId, title, googleEventId, differences: { field: { job, calendar } } }]
+ * }
+ * The compared job rows ride along as a non-enumerable `jobs` for repairCalendar.
+ */
+async function reconcileCalendar(from, to) {
+    const jobs = await supabaseRequest(
+        `jobs?start_time=gte.${encodeURIComponent(from)}&start_time=lt.${encodeURIComponent(to)}&select=*&order=start_time.asc`
+    );
+    const events = (await listEventsInRange(from, to))
+        .filter(calendarEvent => calendarEvent.status !== 'cancelled');
+    const eventsById = new Map(events.map(calendarEvent => [calendarEvent.id, calendarEvent]));
+
+    // Events in range whose job moved out of it are still linked, not orphaned
+    const linkedIds = new Set(jobs.map(job => job.google_event_id).filter(Boolean));
+    const unlinkedEvents = events.filter(calendarEvent =>
+        !linkedIds.has(calendarEvent.id) && (calendarEvent.description || '').startsWith(TRACKER_EVENT_MARKER));
+    if (unlinkedEvents.length > 0) {
+        const ids = unlinkedEvents.map(calendarEvent => `"${calendarEvent.id}"`).join(',');
+        const outside = await supabaseRequest(`jobs?google_event_id=in.(${encodeURIComponent(ids)})&select=*`);
+        jobs.push(...outside);
+        outside.forEach(job => linkedIds.add(job.google_event_id));
+    }
 
-    if (!response.ok) {
-        const error = await response.text();
-        throw new Error(`Calendar API error: ${response.status} - ${error}`);
+    const report = { from, to, missing: [], orphaned: [], drifted: [] };
+
+    for (const job of jobs) {
+        if (!expectsCalendarEvent(job)) continue;
+
+        const calendarEvent = job.google_event_id && eventsById.get(job.google_event_id);
+        if (!calendarEvent) {
+            report.missing.push({
+                jobId: job.id,
+                title: job.title,
+                startTime: job.start_time,
+                googleEventId: job.google_event_id || null,
+                reason: job.google_event_id ? 'event_deleted' : 'not_linked'
+            });
+            continue;
+        }
+
+        const changes = calendarEventToJobChanges(calendarEvent, job);
+        if (Object.keys(changes).length > 0) {
+            const jobValues = { start_time: (job.start_time || '').slice(0, 16), title: job.title, address: job.address || '' };
+            report.drifted.push({
+                jobId: job.id,
+                title: job.title,
+                googleEventId: job.google_event_id,
+                differences: Object.fromEntries(Object.entries(changes).map(([field, calendarValue]) => [
+                    field, { job: jobValues[field], calendar: calendarValue }
+                ]))
+            });
+        }
     }
 
-    if (response.status === 204) {
-        return null;
+    for (const calendarEvent of unlinkedEvents) {
+        if (linkedIds.has(calendarEvent.id)) continue;
+        report.orphaned.push({
+            googleEventId: calendarEvent.id,
+            summary: calendarEvent.summary || '',
+            start: calendarEvent.start?.dateTime || calendarEvent.start?.date || null
+        });
     }
 
-    return response.json();
+    Object.defineProperty(report, 'jobs', { value: jobs });
+    return report;
 }
 
 /**
- * Converts a lawn job to a Google Calendar event
+ * Fixes everything a reconcile report found, treating the jobs table as the
+ * source of truth: missing events are recreated and relinked, drifted events
+ * are overwritten from their job, and orphaned tracker events are deleted.
+ * Returns { repaired: { missing, drifted, orphaned }, failed: [{ jobId?, googleEventId?, error }] }
  */
-function jobToCalendarEvent(job) {
-    // Parse the start time
-    const startDate = new Date(job.start_time);
-
-    // Assume jobs are 1 hour by default
-    const endDate = new Date(startDate.getTime() + 60 * 60 * 1000);
-
-    // Build the event title
-    const jobTypeEmoji = job.job_type === 'mowing' ? '🌿' : '🌳';
-    const title = `${jobTypeEmoji} ${job.title || 'Lawn Job'}`;
-
-    // Build description with job details
-    let description = `JLS Lawn Maintenance Job\n\n`;
-    if (job.job_type) description += `Type: ${job.job_type}\n`;
-    if (job.price) description += `Price: $${job.price}\n`;
-    if (job.notes) description += `Notes: ${job.notes}\n`;
-    if (job.status) description += `Status: ${job.status}\n`;
-
-    return {
-        summary: title,
-        description: description,
-        location: job.address || '',
-        start: {
-            dateTime: startDate.toISOString(),
-            timeZone: 'America/New_York'  // Adjust for your timezone
-        },
-        end: {
-            dateTime: endDate.toISOString(),
-            timeZone: 'America/New_York'
-        },
-        // Color based on job type (green for mowing, brown for hedge)
-        colorId: job.job_type === 'mowing' ? '10' : '6'
-    };
+async function repairCalendar(report) {
+    const jobsById = new Map(report.jobs.map(job => [job.id, job]));
+    const repaired = { missing: 0, drifted: 0, orphaned: 0 };
+    const failed = [];
+
+    for (const item of report.missing) {
+        try {
+            const created = await calendarRequest('/events', {
+                method: 'POST',
+                body: jobToCalendarEvent(jobsById.get(item.jobId))
+            });
+            // A recreated series occurrence becomes an event of its own
+            await supabaseRequest(`jobs?id=eq.${item.jobId}`, {
+                method: 'PATCH',
+                body: {
+                    google_event_id: created.id,
+                    google_series_event_id: null,
+                    calendar_sync_status: 'synced',
+                    calendar_sync_error: null,
+                    calendar_synced_at: new Date().toISOString()
+                },
+                prefer: 'return=minimal'
+            });
+            repaired.missing++;
+        } catch (error) {
+            failed.push({ jobId: item.jobId, error: error.message });
+        }
+    }
+
+    for (const item of report.drifted) {
+        try {
+            await calendarRequest(`/events/${item.googleEventId}`, {
+                method: 'PUT',
+                body: jobToCalendarEvent(jobsById.get(item.jobId))
+            });
+            repaired.drifted++;
+        } catch (error) {
+            failed.push({ jobId: item.jobId, googleEventId: item.googleEventId, error: error.message });
+        }
+    }
+
+    for (const item of report.orphaned) {
+        try {
+            await calendarRequest(`/events/${item.googleEventId}`, { method: 'DELETE' });
+            repaired.orphaned++;
+        } catch (error) {
+            if (error.status === 404 || error.status === 410) {
+                repaired.orphaned++;
+            } else {
+                failed.push({ googleEventId: item.googleEventId, error: error.message });
+            }
+        }
+    }
+
+    return { repaired, failed };
 }
 
 // CORS headers
@@ -159,7 +438,7 @@ exports.handler = async (event, context) => {
     }
 
     // Check for required environment variables
-    if (!SERVICE_ACCOUNT_EMAIL || !SERVICE_ACCOUNT_PRIVATE_KEY) {
+    if (!isCalendarConfigured()) {
         return {
             statusCode: 500,
             headers: { ...corsHeaders, 'Content-Type': 'application/json' },
@@ -174,6 +453,24 @@ exports.handler = async (event, context) => {
         const segments = path.split('/').filter(Boolean);
         const body = event.body ? JSON.parse(event.body) : {};
 
+        // Everyone's app pulls Google edits on load; changing the calendar directly is for owners
+        const user = await getRequestUser(event);
+        if (!user) {
+            return {
+                statusCode: 401,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Sign in to continue' })
+            };
+        }
+        const crewSync = user.role === 'crew' && event.httpMethod === 'POST' && segments[0] === 'sync';
+        if (user.role !== 'owner' && !crewSync) {
+            return {
+                statusCode: 403,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Only owners can do that' })
+            };
+        }
+
         // POST /api/calendar/create - Create a calendar event for a job
         if (event.httpMethod === 'POST' && segments[0] === 'create') {
             const calendarEvent = jobToCalendarEvent(body);
@@ -228,6 +525,55 @@ exports.handler = async (event, context) => {
             };
         }
 
+        // POST /api/calendar/sync - Pull Google Calendar edits back into jobs
+        if (event.httpMethod === 'POST' && segments[0] === 'sync') {
+            if (!SUPABASE_KEY) {
+                return {
+                    statusCode: 500,
+                    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Server configuration error: Missing SUPABASE_SERVICE_KEY' })
+                };
+            }
+
+            const result = await pullCalendarChanges();
+
+            return {
+                statusCode: 200,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ success: true, ...result })
+            };
+        }
+
+        // GET /api/calendar/reconcile?from=&to= - Compare jobs with calendar events
+        // POST /api/calendar/reconcile?from=&to= - Same comparison, then repair everything it found
+        if (segments[0] === 'reconcile' && (event.httpMethod === 'GET' || event.httpMethod === 'POST')) {
+            if (!SUPABASE_KEY) {
+                return {
+                    statusCode: 500,
+                    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Server configuration error: Missing SUPABASE_SERVICE_KEY' })
+                };
+            }
+
+            const range = parseReconcileRange(event.queryStringParameters || {});
+            if (range.error) {
+                return {
+                    statusCode: 400,
+                    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: range.error })
+                };
+            }
+
+            const report = await reconcileCalendar(range.from, range.to);
+            const result = event.httpMethod === 'POST' ? { ...report, ...await repairCalendar(report) } : report;
+
+            return {
+                statusCode: 200,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify(result)
+            };
+        }
+
         // GET /api/calendar/test - Test the connection
         if (event.httpMethod === 'GET' && segments[0] === 'test') {
             // Try to list upcoming events to verify connection
@@ -1,14 +1,16 @@
 // Netlify Function: Jobs API
 // This handles all job CRUD operations with Google Calendar sync
 
+const Recurrence = require('../../recurrence');
+const { toLocalDateTime, fromLocalDateTime } = require('../lib/datetime');
+const { withTypeDefaults, jobToCalendarEvent } = require('../lib/calendar-event');
+const { isCalendarConfigured, calendarRequest, calendarBatch } = require('../lib/google-calendar-client');
+const { getRequestUser, hasScope } = require('../lib/auth');
+const { markQuotesConverted } = require('../lib/contacts');
+
 const SUPABASE_URL = process.env.SUPABASE_URL || 'https://eplsowiliweiilcoomtd.supabase.co';
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
 
-// Google Calendar configuration
-const GOOGLE_CALENDAR_ID = process.env.GOOGLE_CALENDAR_ID || 'jacksum81@gmail.com';
-const SERVICE_ACCOUNT_EMAIL = process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL;
-const SERVICE_ACCOUNT_PRIVATE_KEY = process.env.GOOGLE_SERVICE_ACCOUNT_PRIVATE_KEY;
-
 // ============================================================
 // Supabase Helpers
 // ============================================================
@@ -42,140 +44,517 @@ async function supabaseRequest(path, options = {}) {
 }
 
 // ============================================================
-// Google Calendar Helpers
+// Query Helpers
 // ============================================================
 
-async function createJWT() {
-    const header = { alg: 'RS256', typ: 'JWT' };
-    const now = Math.floor(Date.now() / 1000);
-    const payload = {
-        iss: SERVICE_ACCOUNT_EMAIL,
-        sub: SERVICE_ACCOUNT_EMAIL,
-        aud: 'https://oauth2.googleapis.com/token',
-        iat: now,
-        exp: now + 3600,
-        scope: 'https://www.googleapis.com/auth/calendar.events'
-    };
+const MAX_PAGE_SIZE = 1000;
 
-    const base64Header = Buffer.from(JSON.stringify(header)).toString('base64url');
-    const base64Payload = Buffer.from(JSON.stringify(payload)).toString('base64url');
-    const unsignedToken = `${base64Header}.${base64Payload}`;
+// Thrown for malformed query parameters; surfaced to the client as a 400
+class QueryError extends Error { }
 
-    const crypto = require('crypto');
-    const sign = crypto.createSign('RSA-SHA256');
-    sign.update(unsignedToken);
+// Filters accepted on GET /api/jobs, mapped to their column
+const LIST_FILTERS = {
+    status: 'status',
+    job_type: 'job_type',
+    recurring_id: 'recurring_id',
+    client_id: 'client_id'
+};
 
-    let privateKey = SERVICE_ACCOUNT_PRIVATE_KEY;
-    privateKey = privateKey.replace(/\\n/g, '\n');
-    privateKey = privateKey.replace(/\\\\n/g, '\n');
-    const signature = sign.sign(privateKey, 'base64url');
+function encodeCursor(job) {
+    return Buffer.from(JSON.stringify({ s: job.start_time, i: job.id })).toString('base64url');
+}
 
-    return `${unsignedToken}.${signature}`;
+function decodeCursor(cursor) {
+    try {
+        const { s, i } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (s === undefined || i === undefined) return null;
+        return { startTime: s, id: i };
+    } catch (error) {
+        return null;
+    }
 }
 
-async function getGoogleAccessToken() {
-    const jwt = await createJWT();
-    const response = await fetch('https://oauth2.googleapis.com/token', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: new URLSearchParams({
-            grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
-            assertion: jwt
-        })
-    });
+/**
+ * Builds the PostgREST query string for GET /api/jobs.
+ * Supports `from` (inclusive) / `to` (exclusive) on start_time, equality or
+ * comma-separated lists for status/job_type/recurring_id/client_id, and keyset
+ * pagination via `limit` + the opaque `cursor` returned in X-Next-Cursor.
+ */
+function buildJobsQuery(params = {}) {
+    const filters = ['select=*'];
+
+    if (params.from) filters.push(`start_time=gte.${encodeURIComponent(params.from)}`);
+    if (params.to) filters.push(`start_time=lt.${encodeURIComponent(params.to)}`);
+
+    for (const [param, column] of Object.entries(LIST_FILTERS)) {
+        if (!params[param]) continue;
+        const values = params[param].split(',').map(v => v.trim()).filter(Boolean);
+        if (values.length === 1) {
+            filters.push(`${column}=eq.${encodeURIComponent(values[0])}`);
+        } else if (values.length > 1) {
+            filters.push(`${column}=in.(${values.map(v => encodeURIComponent(`"${v}"`)).join(',')})`);
+        }
+    }
 
-    if (!response.ok) {
-        const error = await response.text();
-        throw new Error(`Failed to get access token: ${error}`);
+    let limit = null;
+    if (params.limit !== undefined) {
+        limit = parseInt(params.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new QueryError('limit must be a positive integer');
+        }
+        limit = Math.min(limit, MAX_PAGE_SIZE);
     }
 
-    const data = await response.json();
-    return data.access_token;
-}
+    if (params.cursor) {
+        const cursor = decodeCursor(params.cursor);
+        if (!cursor) {
+            throw new QueryError('Invalid cursor');
+        }
+        const s = encodeURIComponent(`"${cursor.startTime}"`);
+        const i = encodeURIComponent(`"${cursor.id}"`);
+        filters.push(`or=(start_time.gt.${s},and(start_time.eq.${s},id.gt.${i}))`);
+    }
 
-async function calendarRequest(endpoint, options = {}) {
-    const accessToken = await getGoogleAccessToken();
-    const baseUrl = `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(GOOGLE_CALENDAR_ID)}`;
+    filters.push('order=start_time.asc,id.asc');
 
-    const response = await fetch(`${baseUrl}${endpoint}`, {
-        method: options.method || 'GET',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json',
-            ...options.headers
-        },
-        body: options.body ? JSON.stringify(options.body) : undefined
-    });
+    // Ask for one extra row so we know whether another page exists
+    if (limit) filters.push(`limit=${limit + 1}`);
 
-    if (!response.ok) {
-        const error = await response.text();
-        throw new Error(`Calendar API error: ${response.status} - ${error}`);
-    }
+    return { query: `jobs?${filters.join('&')}`, limit };
+}
 
-    if (response.status === 204) {
-        return null;
+// ============================================================
+// Validation
+// ============================================================
+
+// Thrown for request bodies that fail the job schema; surfaced as a 400
+class ValidationError extends Error {
+    constructor(fields) {
+        super('Validation failed');
+        this.fields = fields;
     }
+}
 
-    return response.json();
+const JOB_TYPES = ['mowing', 'hedge', 'quote'];
+const JOB_STATUSES = ['pending', 'done', 'cancelled'];
+
+// Naive local datetime as produced by datetime-local inputs, seconds optional
+const START_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Declared schema for writable job columns.
+ * `required` fields must be present on create; every present field is type-checked.
+ */
+const JOB_SCHEMA = {
+    title: { type: 'string', required: true, nonEmpty: true },
+    start_time: { type: 'string', required: true, pattern: START_TIME_PATTERN, patternMessage: 'must be a datetime like 2026-01-08T10:00' },
+    job_type: { type: 'string', required: true, enum: JOB_TYPES },
+    status: { type: 'string', enum: JOB_STATUSES },
+    price: { type: 'number', nullable: true, min: 0 },
+    notes: { type: 'string', nullable: true },
+    address: { type: 'string', nullable: true },
+    client_phone: { type: 'string', nullable: true },
+    client_email: { type: 'string', nullable: true, pattern: EMAIL_PATTERN, patternMessage: 'must be a valid email address' },
+    recurring_id: { type: 'string', nullable: true },
+    is_recurring: { type: 'boolean' },
+    recurrence_pattern: { type: 'string', nullable: true, rrule: true },
+    occurrence_number: { type: 'integer', min: 1 },
+    duration_minutes: { type: 'integer', nullable: true, min: 15 },
+    arrival_window_minutes: { type: 'integer', nullable: true, min: 0 },
+    // Website quote request the job came from (contacts database, so no foreign key)
+    quote_request_id: { type: 'integer', nullable: true, min: 1 },
+    client_id: { type: 'integer', nullable: true, min: 1 }
+};
+
+// Why a job was cancelled; shown as a breakdown in the stats modal
+const CANCEL_REASONS = ['rain', 'client_request', 'no_show', 'other'];
+
+// Message templates sent to clients from the job details; keep in step with CONFIG.messageKinds in script.js
+const MESSAGE_KINDS = ['reminder', 'thanks'];
+
+// Fields a series update may change; each occurrence keeps its own date and status
+const SERIES_FIELDS = [
+    'title', 'job_type', 'notes', 'price', 'address', 'client_phone', 'client_email',
+    'duration_minutes', 'arrival_window_minutes', 'client_id'
+];
+
+function checkField(name, value, rule) {
+    if (value === null) {
+        return rule.nullable ? null : 'must not be null';
+    }
+    if (rule.type === 'integer') {
+        if (!Number.isInteger(value)) return 'must be a whole number';
+    } else if (rule.type === 'number') {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+    } else if (typeof value !== rule.type) {
+        return `must be a ${rule.type}`;
+    }
+    if (rule.nonEmpty && !value.trim()) return 'is required';
+    if (rule.enum && !rule.enum.includes(value)) return `must be one of: ${rule.enum.join(', ')}`;
+    if (rule.pattern && value !== '' && !rule.pattern.test(value)) return rule.patternMessage;
+    if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+    if (rule.rrule && !Recurrence.isValid(value)) return 'must be an RRULE like RRULE:FREQ=WEEKLY;INTERVAL=2;COUNT=8';
+    return null;
 }
 
-function jobToCalendarEvent(job) {
-    // job.start_time comes as a local datetime string like "2026-01-08T10:00"
-    // We need to treat it as America/New_York time
-    const startTimeStr = job.start_time;
+/**
+ * Validates one job payload against JOB_SCHEMA.
+ * @param {Object} job - Parsed request body
+ * @param {Object} options - { partial: skip required checks, allowed: restrict to these fields, index: array position }
+ * @returns {Array} Per-field errors: { field, message, index? }
+ */
+function validateJob(job, options = {}) {
+    const errors = [];
+    const push = (field, message) => {
+        const error = { field, message };
+        if (options.index !== undefined) error.index = options.index;
+        errors.push(error);
+    };
+
+    if (!job || typeof job !== 'object' || Array.isArray(job)) {
+        push(null, 'Job must be an object');
+        return errors;
+    }
+
+    const allowed = options.allowed || Object.keys(JOB_SCHEMA);
 
-    // Parse the datetime and add 1 hour for end time
-    const [datePart, timePart] = startTimeStr.split('T');
-    const [hours, minutes] = timePart.split(':').map(Number);
+    for (const [field, value] of Object.entries(job)) {
+        if (!allowed.includes(field)) {
+            push(field, `${field} is not an allowed field`);
+            continue;
+        }
+        if (value === undefined) continue;
+        const message = checkField(field, value, JOB_SCHEMA[field]);
+        if (message) push(field, `${field} ${message}`);
+    }
 
-    // Calculate end time (1 hour later)
-    let endHours = hours + 1;
-    if (endHours >= 24) {
-        endHours = endHours - 24;
+    if (!options.partial) {
+        for (const [field, rule] of Object.entries(JOB_SCHEMA)) {
+            if (rule.required && (job[field] === undefined || job[field] === null)) {
+                push(field, `${field} is required`);
+            }
+        }
     }
-    const endTimeStr = `${datePart}T${String(endHours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00`;
-    const startTimeFormatted = `${startTimeStr}:00`;
 
-    const title = job.title || 'Lawn Job';
+    return errors;
+}
+
+/**
+ * Validates a cancel request body ({ reason, note? }).
+ * @returns {Object} The columns to set on each cancelled job
+ */
+function parseCancellation(event) {
+    const body = event.body ? parseBody(event) : {};
+    const errors = [];
 
-    let description = `JLS Lawn Maintenance Job\n\n`;
-    if (job.job_type) description += `Type: ${job.job_type}\n`;
-    if (job.price) description += `Price: $${job.price}\n`;
-    if (job.notes) description += `Notes: ${job.notes}\n`;
-    if (job.status) description += `Status: ${job.status}\n`;
+    if (!CANCEL_REASONS.includes(body.reason)) {
+        errors.push({ field: 'cancel_reason', message: `reason must be one of: ${CANCEL_REASONS.join(', ')}` });
+    }
+    if (body.note !== undefined && body.note !== null && typeof body.note !== 'string') {
+        errors.push({ field: 'cancel_note', message: 'note must be a string' });
+    }
+    if (errors.length > 0) throw new ValidationError(errors);
 
+    const now = new Date().toISOString();
     return {
-        summary: title,
-        description: description,
-        location: job.address || '',
-        start: { dateTime: startTimeFormatted, timeZone: 'America/New_York' },
-        end: { dateTime: endTimeStr, timeZone: 'America/New_York' },
-        colorId: job.job_type === 'mowing' ? '10' : '6'
+        status: 'cancelled',
+        cancel_reason: body.reason,
+        cancel_note: body.note || null,
+        cancelled_at: now,
+        updated_at: now
     };
 }
 
-async function createCalendarEvent(job) {
-    if (!SERVICE_ACCOUNT_EMAIL || !SERVICE_ACCOUNT_PRIVATE_KEY) {
-        console.log('Google Calendar not configured, skipping sync');
-        return null;
+/**
+ * Removes the `updated_at` a client last saw from an update body.
+ * It is the expected version for an optimistic-concurrency check, not a column to write.
+ * @returns {string|null|undefined} undefined when the client sent no version
+ */
+function takeExpectedVersion(updates) {
+    if (!updates || typeof updates !== 'object' || !('updated_at' in updates)) return undefined;
+
+    const expected = updates.updated_at;
+    delete updates.updated_at;
+    if (expected !== null && (typeof expected !== 'string' || Number.isNaN(Date.parse(expected)))) {
+        throw new ValidationError([{ field: 'updated_at', message: 'updated_at must be a timestamp' }]);
     }
+    return expected;
+}
+
+/**
+ * Parses a JSON request body, raising a ValidationError instead of a 500 on bad JSON.
+ */
+function parseBody(event) {
+    try {
+        return JSON.parse(event.body || '');
+    } catch (error) {
+        throw new ValidationError([{ field: null, message: 'Request body must be valid JSON' }]);
+    }
+}
+
+// ============================================================
+// Audit History
+// ============================================================
+
+// Bookkeeping columns that change on every write and would only add noise
+const UNAUDITED_FIELDS = [
+    'updated_at', 'created_at', 'calendar_sync_status', 'calendar_sync_error', 'calendar_synced_at'
+];
+
+/**
+ * Field-level diff between two versions of a job: { field: { from, to } }.
+ * Pass null for `before` on create or for `after` on delete.
+ */
+function diffJob(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+        if (UNAUDITED_FIELDS.includes(field) || field === 'id') continue;
+        const from = before ? before[field] ?? null : null;
+        const to = after ? after[field] ?? null : null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from, to };
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Writes audit records for a mutation. `pairs` holds { before, after } per job.
+ * Auditing never fails the request; errors are logged instead.
+ */
+async function recordHistory(action, actor, pairs) {
+    const records = pairs
+        .map(({ before, after }) => ({
+            job_id: String((after || before).id),
+            action,
+            actor,
+            changes: diffJob(before, after)
+        }))
+        .filter(record => action !== 'update' || Object.keys(record.changes).length > 0);
+
+    if (records.length === 0) return;
 
     try {
-        const calendarEvent = jobToCalendarEvent(job);
-        const created = await calendarRequest('/events', {
+        await supabaseRequest('job_history', {
             method: 'POST',
-            body: calendarEvent
+            body: records,
+            prefer: 'return=minimal'
         });
-        console.log('📅 Created Google Calendar event:', created.id);
-        return created.id;
     } catch (error) {
-        console.error('Calendar create error:', error.message);
-        return null;
+        console.error('History write error:', error.message);
     }
 }
 
+/**
+ * Pairs rows read before a mutation with the rows it returned, by id.
+ */
+function pairById(beforeRows, afterRows) {
+    const before = new Map((beforeRows || []).map(job => [String(job.id), job]));
+    return (afterRows || []).map(after => ({ before: before.get(String(after.id)) || null, after }));
+}
+
+// ============================================================
+// Idempotency
+// ============================================================
+
+// A claimed key with no response after this long belongs to a request that died
+const IDEMPOTENCY_STALE_MS = 60 * 1000;
+
+function getHeader(event, name) {
+    const headers = event.headers || {};
+    const match = Object.keys(headers).find(key => key.toLowerCase() === name);
+    return match ? headers[match] : undefined;
+}
+
+function hashRequestBody(body) {
+    const crypto = require('crypto');
+    return crypto.createHash('sha256').update(body || '').digest('hex');
+}
+
+/**
+ * Claims an idempotency key for a POST /api/jobs request.
+ * Returns null when this request now owns the key, otherwise the response to
+ * send instead: the stored original (a replay), a 409 while the first request
+ * is still running, or a 422 when the key was used for a different body.
+ */
+async function claimIdempotencyKey(key, requestHash, attempt = 0) {
+    const busy = { statusCode: 409, body: { error: 'This request is still being processed. Try again shortly.' } };
+    const inserted = await supabaseRequest('idempotency_keys', {
+        method: 'POST',
+        body: { key, request_hash: requestHash },
+        prefer: 'resolution=ignore-duplicates,return=representation'
+    });
+    if (inserted && inserted.length > 0) return null;
+
+    const [existing] = await supabaseRequest(`idempotency_keys?key=eq.${encodeURIComponent(key)}&select=*`);
+    if (!existing) {
+        // Released between our insert and read - try once more
+        return attempt < 1 ? claimIdempotencyKey(key, requestHash, attempt + 1) : busy;
+    }
+
+    if (existing.request_hash !== requestHash) {
+        return { statusCode: 422, body: { error: 'This form was already submitted with different details. Refresh the calendar to see the scheduled jobs.' } };
+    }
+
+    if (existing.response) {
+        return { statusCode: existing.status_code, body: existing.response, replayed: true };
+    }
+
+    const stale = Date.now() - new Date(existing.created_at).getTime() > IDEMPOTENCY_STALE_MS;
+    if (!stale) return busy;
+
+    if (existing.job_ids && existing.job_ids.length > 0) {
+        // The original request created its rows but died before responding:
+        // finish its calendar sync and replay those rows rather than creating more
+        const ids = existing.job_ids.map(id => `"${id}"`).join(',');
+        const created = await supabaseRequest(`jobs?id=in.(${encodeURIComponent(ids)})&select=*&order=start_time.asc`);
+        await syncNewJobs(created.filter(job => !job.google_event_id));
+        await completeIdempotencyKey(key, 201, created);
+        return { statusCode: 201, body: created, replayed: true };
+    }
+
+    // Nothing was created under the stale claim; take it over
+    if (attempt >= 1) return busy;
+    await releaseIdempotencyKey(key);
+    return claimIdempotencyKey(key, requestHash, attempt + 1);
+}
+
+async function recordIdempotentJobs(key, jobs) {
+    await supabaseRequest(`idempotency_keys?key=eq.${encodeURIComponent(key)}`, {
+        method: 'PATCH',
+        body: { job_ids: jobs.map(job => job.id) },
+        prefer: 'return=minimal'
+    });
+}
+
+async function completeIdempotencyKey(key, statusCode, response) {
+    await supabaseRequest(`idempotency_keys?key=eq.${encodeURIComponent(key)}`, {
+        method: 'PATCH',
+        body: { status_code: statusCode, response, completed_at: new Date().toISOString() },
+        prefer: 'return=minimal'
+    });
+}
+
+async function releaseIdempotencyKey(key) {
+    await supabaseRequest(`idempotency_keys?key=eq.${encodeURIComponent(key)}`, {
+        method: 'DELETE',
+        prefer: 'return=minimal'
+    });
+}
+
+// ============================================================
+// Google Calendar Helpers
+// ============================================================
+
+function batchError(result) {
+    const message = result.body?.error?.message || result.body;
+    return `Calendar API error: ${result.status} - ${typeof message === 'string' ? message : JSON.stringify(message)}`;
+}
+
+/**
+ * Pushes jobs' current state to their linked Google Calendar events in batches.
+ * Recreates an event (and relinks the job) when a job has no event yet or the
+ * linked one was deleted on the Google side.
+ * Returns one result per job: { id, status: 'updated'|'created'|'skipped'|'failed', googleEventId, error }
+ */
+async function syncCalendarEvents(jobs) {
+    jobs = jobs || [];
+    if (!isCalendarConfigured()) {
+        return jobs.map(job => ({ id: job.id, status: 'skipped', googleEventId: job.google_event_id || null }));
+    }
+
+    const results = new Map();
+    const linked = jobs.filter(job => job.google_event_id);
+    const toCreate = jobs.filter(job => !job.google_event_id);
+
+    const updates = await calendarBatch(linked.map(job => ({
+        method: 'PUT',
+        endpoint: `/events/${job.google_event_id}`,
+        body: jobToCalendarEvent(job)
+    })));
+
+    updates.forEach((result, index) => {
+        const job = linked[index];
+        if (result.status >= 200 && result.status < 300) {
+            results.set(job, { id: job.id, status: 'updated', googleEventId: job.google_event_id });
+        } else if (result.status === 404 || result.status === 410) {
+            console.log('📅 Linked event missing, recreating:', job.google_event_id);
+            toCreate.push(job);
+        } else {
+            results.set(job, { id: job.id, status: 'failed', googleEventId: job.google_event_id, error: batchError(result) });
+        }
+    });
+
+    const creates = await calendarBatch(toCreate.map(job => ({
+        method: 'POST',
+        endpoint: '/events',
+        body: jobToCalendarEvent(job)
+    })));
+
+    for (const [index, result] of creates.entries()) {
+        const job = toCreate[index];
+        if (result.status < 200 || result.status >= 300) {
+            results.set(job, { id: job.id, status: 'failed', googleEventId: null, error: batchError(result) });
+            continue;
+        }
+        try {
+            await supabaseRequest(`jobs?id=eq.${job.id}`, {
+                method: 'PATCH',
+                body: { google_event_id: result.body.id },
+                prefer: 'return=minimal'
+            });
+            results.set(job, { id: job.id, status: 'created', googleEventId: result.body.id });
+        } catch (error) {
+            // The event exists but the job doesn't point at it yet
+            results.set(job, { id: job.id, status: 'failed', googleEventId: result.body.id, error: error.message });
+        }
+    }
+
+    return jobs.map(job => results.get(job));
+}
+
+/**
+ * Deletes the Google Calendar events of already-deleted jobs in batches.
+ * An event that is already gone counts as deleted.
+ * Returns one result per job: { id, status: 'deleted'|'skipped'|'failed', googleEventId, error }
+ */
+async function deleteCalendarEvents(jobs) {
+    jobs = jobs || [];
+    const linked = jobs.filter(job => job.google_event_id);
+    if (!isCalendarConfigured() || linked.length === 0) {
+        return jobs.map(job => ({ id: job.id, status: 'skipped', googleEventId: job.google_event_id || null }));
+    }
+
+    const deletes = await calendarBatch(linked.map(job => ({
+        method: 'DELETE',
+        endpoint: `/events/${job.google_event_id}`
+    })));
+
+    const results = new Map();
+    deletes.forEach((result, index) => {
+        const job = linked[index];
+        const ok = (result.status >= 200 && result.status < 300) || result.status === 404 || result.status === 410;
+        results.set(job, ok
+            ? { id: job.id, status: 'deleted', googleEventId: job.google_event_id }
+            : { id: job.id, status: 'failed', googleEventId: job.google_event_id, error: batchError(result) });
+    });
+
+    return jobs.map(job => results.get(job) || { id: job.id, status: 'skipped', googleEventId: null });
+}
+
+/**
+ * Lists the calendar sync failures from a batch so callers can surface them.
+ */
+function failedSyncs(sync) {
+    return sync.filter(result => result.status === 'failed');
+}
+
 async function deleteCalendarEvent(googleEventId) {
-    if (!googleEventId || !SERVICE_ACCOUNT_EMAIL || !SERVICE_ACCOUNT_PRIVATE_KEY) {
+    if (!googleEventId || !isCalendarConfigured()) {
         return;
     }
 
@@ -187,14 +566,377 @@ async function deleteCalendarEvent(googleEventId) {
     }
 }
 
+// ============================================================
+// Recurring Series on Google Calendar
+// ============================================================
+
+/**
+ * True for jobs whose series is pushed to Google as one recurring event.
+ * Series saved before RRULE support keep one event per occurrence.
+ */
+function isCalendarSeriesJob(job) {
+    return Boolean(job.recurring_id && job.is_recurring && job.recurrence_pattern &&
+        Recurrence.isValid(job.recurrence_pattern));
+}
+
+/**
+ * Builds the recurrence for a series' Google event from its stored rule.
+ * COUNT/UNTIL are replaced by an explicit UNTIL (in UTC, as Google requires
+ * for timed events) so the event covers exactly the occurrences that exist.
+ * @param {string} rule - Stored RRULE
+ * @param {Date} until - Last moment an occurrence may start
+ */
+function seriesRecurrence(rule, until) {
+    const parts = rule.replace(/^RRULE:/i, '').split(';').filter(part => !/^(COUNT|UNTIL)=/i.test(part));
+    const untilUtc = until.toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+    return [`RRULE:${[...parts, `UNTIL=${untilUtc}`].join(';')}`];
+}
+
+/**
+ * Lists every instance of a recurring event, including cancelled ones.
+ */
+async function listSeriesInstances(seriesEventId) {
+    const instances = [];
+    let pageToken = null;
+
+    do {
+        const params = new URLSearchParams({ showDeleted: 'true', maxResults: '2500' });
+        if (pageToken) params.set('pageToken', pageToken);
+
+        const page = await calendarRequest(`/events/${seriesEventId}/instances?${params}`);
+        instances.push(...(page.items || []));
+        pageToken = page.nextPageToken;
+    } while (pageToken);
+
+    return instances;
+}
+
+/**
+ * True when a Calendar instance no longer shows what the job says.
+ */
+function instanceDiffers(instance, job) {
+    const expected = jobToCalendarEvent(job);
+    return instance.summary !== expected.summary ||
+        (instance.description || '') !== expected.description ||
+        (instance.location || '') !== expected.location ||
+        (instance.status || 'confirmed') !== expected.status ||
+        !instance.start?.dateTime || !instance.end?.dateTime ||
+        toLocalDateTime(instance.start.dateTime) !== job.start_time.slice(0, 16) ||
+        toLocalDateTime(instance.end.dateTime) !== toLocalDateTime(expected.end.dateTime);
+}
+
+/**
+ * Creates one Google recurring event per new series and links each job to
+ * its instance (google_event_id) and the series event (google_series_event_id).
+ * @returns {Promise<Array>} Jobs that still need an event of their own
+ */
+async function createSeriesEvents(jobs) {
+    if (!isCalendarConfigured()) return jobs;
+
+    const standalone = [];
+    const series = new Map();
+    jobs.forEach(job => {
+        if (!isCalendarSeriesJob(job)) {
+            standalone.push(job);
+            return;
+        }
+        if (!series.has(job.recurring_id)) series.set(job.recurring_id, []);
+        series.get(job.recurring_id).push(job);
+    });
+
+    for (const seriesJobs of series.values()) {
+        if (seriesJobs.length < 2) {
+            standalone.push(...seriesJobs);
+            continue;
+        }
+
+        seriesJobs.sort((a, b) => a.start_time.localeCompare(b.start_time));
+        const first = seriesJobs[0];
+        const last = seriesJobs[seriesJobs.length - 1];
+        let seriesEventId = null;
+
+        try {
+            const created = await calendarRequest('/events', {
+                method: 'POST',
+                body: {
+                    ...jobToCalendarEvent(first),
+                    recurrence: seriesRecurrence(first.recurrence_pattern, fromLocalDateTime(last.start_time))
+                }
+            });
+            seriesEventId = created.id;
+
+            const byStart = new Map((await listSeriesInstances(seriesEventId)).map(instance => [
+                toLocalDateTime(instance.originalStartTime.dateTime),
+                instance
+            ]));
+
+            const instances = seriesJobs.map(job => byStart.get(job.start_time.slice(0, 16)));
+            if (instances.some(instance => !instance)) {
+                throw new Error('Recurring event instances do not line up with the series jobs');
+            }
+
+            for (const [index, job] of seriesJobs.entries()) {
+                await supabaseRequest(`jobs?id=eq.${job.id}`, {
+                    method: 'PATCH',
+                    body: { google_event_id: instances[index].id, google_series_event_id: seriesEventId },
+                    prefer: 'return=minimal'
+                });
+            }
+            console.log(`📅 Created Google Calendar series ${seriesEventId} for ${seriesJobs.length} job(s)`);
+        } catch (error) {
+            console.error('Calendar series create error:', error.message);
+            // Fall back to one event per job rather than leave a half-linked series
+            if (seriesEventId) await deleteCalendarEvent(seriesEventId);
+            standalone.push(...seriesJobs);
+        }
+    }
+
+    return standalone;
+}
+
+/**
+ * Pushes a series-wide edit. Each Google recurring event is patched once, then
+ * only instances that still disagree with their job (exceptions left by
+ * single-occurrence edits) are rewritten. Other jobs sync one event each.
+ * Returns one result per job, like syncCalendarEvents.
+ */
+async function syncSeriesEdit(jobs) {
+    jobs = jobs || [];
+    if (!isCalendarConfigured()) {
+        return jobs.map(job => ({ id: job.id, status: 'skipped', googleEventId: job.google_event_id || null }));
+    }
+
+    const results = new Map();
+    const standalone = jobs.filter(job => !job.google_series_event_id);
+    (await syncCalendarEvents(standalone)).forEach((result, index) => results.set(standalone[index], result));
+
+    const series = new Map();
+    jobs.filter(job => job.google_series_event_id).forEach(job => {
+        if (!series.has(job.google_series_event_id)) series.set(job.google_series_event_id, []);
+        series.get(job.google_series_event_id).push(job);
+    });
+
+    for (const [seriesEventId, seriesJobs] of series) {
+        try {
+            // The series event carries the shared details and duration; per-occurrence status
+            // lives on instances. Its times keep the series' own first start, so a new
+            // duration only moves the end of each occurrence.
+            const template = seriesJobs.find(job => job.status === 'pending') || seriesJobs[0];
+            const seriesEvent = await calendarRequest(`/events/${seriesEventId}`);
+            const { summary, description, location, colorId, start, end } = jobToCalendarEvent({
+                ...template,
+                start_time: toLocalDateTime(seriesEvent.start.dateTime),
+                status: 'pending'
+            });
+            await calendarRequest(`/events/${seriesEventId}`, {
+                method: 'PATCH',
+                body: { summary, description, location, colorId, start, end }
+            });
+
+            const instances = new Map((await listSeriesInstances(seriesEventId)).map(instance => [instance.id, instance]));
+            const stale = seriesJobs.filter(job => {
+                const instance = instances.get(job.google_event_id);
+                return !instance || instanceDiffers(instance, job);
+            });
+
+            seriesJobs.forEach(job => results.set(job, { id: job.id, status: 'updated', googleEventId: job.google_event_id }));
+            (await syncCalendarEvents(stale)).forEach((result, index) => results.set(stale[index], result));
+        } catch (error) {
+            seriesJobs.forEach(job => results.set(job, {
+                id: job.id, status: 'failed', googleEventId: job.google_event_id, error: error.message
+            }));
+        }
+    }
+
+    return jobs.map(job => results.get(job));
+}
+
+/**
+ * Removes the Google events of deleted jobs. For a Google series, deleting
+ * every occurrence deletes the recurring event; deleting from a date onward
+ * truncates its rule with UNTIL instead of touching each instance.
+ * @param {Array} deleted - Rows returned by the DELETE
+ * @param {string} [fromDate] - Start of a delete-future range
+ * Returns one result per job, like deleteCalendarEvents.
+ */
+async function deleteSeriesEvents(deleted, fromDate) {
+    deleted = deleted || [];
+    const seriesJobs = deleted.filter(job => job.google_series_event_id);
+    const standalone = deleted.filter(job => !job.google_series_event_id);
+    const results = new Map();
+
+    (await deleteCalendarEvents(standalone)).forEach((result, index) => results.set(standalone[index], result));
+
+    const series = new Map();
+    seriesJobs.forEach(job => {
+        if (!series.has(job.google_series_event_id)) series.set(job.google_series_event_id, []);
+        series.get(job.google_series_event_id).push(job);
+    });
+
+    for (const [seriesEventId, jobsInSeries] of series) {
+        const done = status => jobsInSeries.forEach(job => results.set(job, {
+            id: job.id, googleEventId: job.google_event_id, ...status
+        }));
+
+        if (!isCalendarConfigured()) {
+            done({ status: 'skipped' });
+            continue;
+        }
+
+        try {
+            const remaining = await supabaseRequest(
+                `jobs?google_series_event_id=eq.${encodeURIComponent(seriesEventId)}&select=id&limit=1`
+            );
+
+            if (!fromDate || remaining.length === 0) {
+                await calendarRequest(`/events/${seriesEventId}`, { method: 'DELETE' });
+            } else {
+                const until = new Date(fromLocalDateTime(fromDate).getTime() - 1000);
+                await calendarRequest(`/events/${seriesEventId}`, {
+                    method: 'PATCH',
+                    body: { recurrence: seriesRecurrence(jobsInSeries[0].recurrence_pattern, until) }
+                });
+            }
+            done({ status: 'deleted' });
+        } catch (error) {
+            if (error.status === 404 || error.status === 410) {
+                done({ status: 'deleted' });
+            } else {
+                done({ status: 'failed', error: error.message });
+            }
+        }
+    }
+
+    return deleted.map(job => results.get(job));
+}
+
+// ============================================================
+// Calendar Sync Queue
+// ============================================================
+
+// Written with every change that needs pushing to Google; cleared once the push succeeds
+const SYNC_PENDING = { calendar_sync_status: 'pending' };
+
+// Pending jobs younger than this may still be syncing in the request that wrote them
+const SYNC_RETRY_GRACE_MS = 5 * 60 * 1000;
+const SYNC_RETRY_LIMIT = 50;
+
+/**
+ * Stores the outcome of a calendar push on each job. Skipped jobs (calendar
+ * not configured) stay pending. Like auditing, this never fails the request.
+ * @param {Array} sync - Results from syncCalendarEvents/syncSeriesEdit
+ */
+async function recordCalendarSync(sync) {
+    const now = new Date().toISOString();
+    const synced = sync.filter(result => result.status === 'created' || result.status === 'updated');
+    const failed = failedSyncs(sync);
+
+    try {
+        if (synced.length > 0) {
+            const ids = synced.map(result => `"${result.id}"`).join(',');
+            await supabaseRequest(`jobs?id=in.(${encodeURIComponent(ids)})`, {
+                method: 'PATCH',
+                body: { calendar_sync_status: 'synced', calendar_sync_error: null, calendar_synced_at: now },
+                prefer: 'return=minimal'
+            });
+        }
+        for (const result of failed) {
+            await supabaseRequest(`jobs?id=eq.${result.id}`, {
+                method: 'PATCH',
+                body: { calendar_sync_status: 'failed', calendar_sync_error: result.error || 'Unknown error', calendar_synced_at: now },
+                prefer: 'return=minimal'
+            });
+        }
+    } catch (error) {
+        console.error('Sync status write error:', error.message);
+    }
+}
+
+/**
+ * Puts newly created jobs on Google Calendar - a new series as one recurring
+ * event, anything else as its own event - and records how each push went.
+ */
+async function syncNewJobs(jobs) {
+    const standalone = await createSeriesEvents(jobs);
+    const inSeries = jobs
+        .filter(job => !standalone.includes(job))
+        .map(job => ({ id: job.id, status: 'created', googleEventId: job.google_event_id || null }));
+
+    const sync = [...inSeries, ...await syncCalendarEvents(standalone)];
+    await recordCalendarSync(sync);
+    return sync;
+}
+
+/**
+ * Pushes jobs whose calendar sync is pending or failed. Used by the scheduled
+ * calendar-sync-retry function and the "retry now" button.
+ * @param {Array<string>} [jobIds] - Retry just these jobs; otherwise every queued job
+ *   past the grace period, oldest first
+ * Returns one result per job, like syncCalendarEvents.
+ */
+async function retryCalendarSyncs(jobIds) {
+    let query;
+    if (jobIds) {
+        const ids = jobIds.map(id => `"${id}"`).join(',');
+        query = `jobs?id=in.(${encodeURIComponent(ids)})&select=*`;
+    } else {
+        const cutoff = new Date(Date.now() - SYNC_RETRY_GRACE_MS).toISOString();
+        const settled = `or(updated_at.lt.${cutoff},and(updated_at.is.null,created_at.lt.${cutoff}))`;
+        const queued = `or=(calendar_sync_status.eq.failed,and(calendar_sync_status.eq.pending,${settled}))`;
+        query = `jobs?select=*&${encodeURI(queued)}&order=calendar_synced_at.asc.nullsfirst&limit=${SYNC_RETRY_LIMIT}`;
+    }
+
+    const jobs = await supabaseRequest(query);
+    const sync = await syncCalendarEvents(jobs);
+    await recordCalendarSync(sync);
+    return sync;
+}
+
+// ============================================================
+// Roles
+// ============================================================
+
+// Fields crew members don't see (prices feed the revenue stats)
+const OWNER_ONLY_FIELDS = ['price'];
+
+/**
+ * Crew can list the day's jobs, mark them done and log the messages they send;
+ * everything else needs an owner.
+ * API tokens can read with jobs:read and make any change with jobs:write.
+ */
+function isAllowed(user, method, segments) {
+    if (user.role === 'owner') return true;
+    if (user.role === 'api') return hasScope(user, method === 'GET' ? 'jobs:read' : 'jobs:write');
+    return (method === 'GET' && segments.length === 0) ||
+        (method === 'PATCH' && segments[0] === 'done' && Boolean(segments[1])) ||
+        (method === 'POST' && segments.length === 2 && segments[1] === 'messages');
+}
+
+/**
+ * Narrows a crew member's job listing to today in the business timezone.
+ */
+function crewListParams(params) {
+    const today = toLocalDateTime(new Date()).slice(0, 10);
+    const [year, month, day] = today.split('-').map(Number);
+    const tomorrow = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+    return { ...params, from: today, to: tomorrow };
+}
+
+function withoutOwnerFields(job) {
+    const visible = { ...job };
+    OWNER_ONLY_FIELDS.forEach(field => delete visible[field]);
+    return visible;
+}
+
 // ============================================================
 // CORS Headers
 // ============================================================
 
 const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
+    'Access-Control-Allow-Headers': 'Content-Type, Idempotency-Key',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    'Access-Control-Expose-Headers': 'X-Next-Cursor, Idempotent-Replayed'
 };
 
 // ============================================================
@@ -218,40 +960,127 @@ exports.handler = async (event, context) => {
         const path = event.path.replace('/.netlify/functions/jobs', '').replace('/api/jobs', '');
         const segments = path.split('/').filter(Boolean);
 
-        // GET /api/jobs - Fetch all jobs
+        const user = await getRequestUser(event);
+        if (!user) {
+            return {
+                statusCode: 401,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Sign in to continue' })
+            };
+        }
+        if (!isAllowed(user, event.httpMethod, segments)) {
+            return {
+                statusCode: 403,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: user.role === 'api' ? 'This token does not have the scope for that' : 'Only owners can do that' })
+            };
+        }
+
+        // Recorded in job history as who made each change
+        const actor = user.name;
+
+        // GET /api/jobs - Fetch jobs, optionally filtered by date range/status/type/series
         if (event.httpMethod === 'GET' && segments.length === 0) {
-            const jobs = await supabaseRequest('jobs?select=*');
+            let params = event.queryStringParameters || {};
+            if (user.role === 'crew') params = crewListParams(params);
+
+            let query, limit;
+            try {
+                ({ query, limit } = buildJobsQuery(params));
+            } catch (error) {
+                if (!(error instanceof QueryError)) throw error;
+                return {
+                    statusCode: 400,
+                    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: error.message })
+                };
+            }
+
+            let jobs = await supabaseRequest(query);
+            const headers = { ...corsHeaders, 'Content-Type': 'application/json' };
+
+            if (limit && jobs.length > limit) {
+                jobs = jobs.slice(0, limit);
+                headers['X-Next-Cursor'] = encodeCursor(jobs[jobs.length - 1]);
+            }
+
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify(user.role === 'crew' ? jobs.map(withoutOwnerFields) : jobs)
+            };
+        }
+
+        // GET /api/jobs/:id/history - Audit trail for one job, newest first
+        if (event.httpMethod === 'GET' && segments.length === 2 && segments[1] === 'history') {
+            const jobId = segments[0];
+            const history = await supabaseRequest(
+                `job_history?job_id=eq.${encodeURIComponent(jobId)}&select=*&order=created_at.desc`
+            );
+
             return {
                 statusCode: 200,
                 headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-                body: JSON.stringify(jobs)
+                body: JSON.stringify(history)
             };
         }
 
         // POST /api/jobs - Create job(s) with Google Calendar sync
         if (event.httpMethod === 'POST' && segments.length === 0) {
-            const body = JSON.parse(event.body);
+            const body = parseBody(event);
             const jobs = Array.isArray(body) ? body : [body];
 
-            // Create jobs in Supabase
-            const created = await supabaseRequest('jobs', {
-                method: 'POST',
-                body: jobs
-            });
-
-            // Sync each job to Google Calendar and save the event ID
-            for (const job of created) {
-                const googleEventId = await createCalendarEvent(job);
-                if (googleEventId) {
-                    // Update the job with the Google event ID
-                    await supabaseRequest(`jobs?id=eq.${job.id}`, {
-                        method: 'PATCH',
-                        body: { google_event_id: googleEventId },
-                        prefer: 'return=minimal'
-                    });
+            if (jobs.length === 0) {
+                throw new ValidationError([{ field: null, message: 'At least one job is required' }]);
+            }
+            const errors = jobs.flatMap((job, index) =>
+                validateJob(job, Array.isArray(body) ? { index } : {})
+            );
+            if (errors.length > 0) throw new ValidationError(errors);
+
+            // Retries of the same wizard submission replay the first response
+            const idempotencyKey = getHeader(event, 'idempotency-key');
+            if (idempotencyKey) {
+                const prior = await claimIdempotencyKey(idempotencyKey, hashRequestBody(event.body));
+                if (prior) {
+                    return {
+                        statusCode: prior.statusCode,
+                        headers: {
+                            ...corsHeaders,
+                            'Content-Type': 'application/json',
+                            ...(prior.replayed ? { 'Idempotent-Replayed': 'true' } : {})
+                        },
+                        body: JSON.stringify(prior.body)
+                    };
                 }
             }
 
+            // Create jobs in Supabase
+            let created;
+            try {
+                created = await supabaseRequest('jobs', {
+                    method: 'POST',
+                    body: jobs.map(withTypeDefaults)
+                });
+            } catch (error) {
+                // Nothing was created, so let the client retry with the same key
+                if (idempotencyKey) await releaseIdempotencyKey(idempotencyKey);
+                throw error;
+            }
+            if (idempotencyKey) await recordIdempotentJobs(idempotencyKey, created);
+            await recordHistory('create', actor, created.map(job => ({ before: null, after: job })));
+
+            // Only now that the jobs exist do their quote requests count as converted.
+            // A quote-type job is the site visit to price the work, not the work itself.
+            await markQuotesConverted(created
+                .filter(job => job.job_type !== 'quote')
+                .map(job => job.quote_request_id));
+
+            // Jobs that fail to sync stay queued for the scheduled retry
+            await syncNewJobs(created);
+
+            if (idempotencyKey) await completeIdempotencyKey(idempotencyKey, 201, created);
+
             return {
                 statusCode: 201,
                 headers: { ...corsHeaders, 'Content-Type': 'application/json' },
@@ -259,45 +1088,82 @@ exports.handler = async (event, context) => {
             };
         }
 
-        // PUT /api/jobs/series/:recurringId - Update all jobs in a series
+        // PUT /api/jobs/series/:recurringId - Update all jobs in a series (with calendar sync)
         if (event.httpMethod === 'PUT' && segments[0] === 'series' && segments[1]) {
             const recurringId = segments[1];
-            const updates = JSON.parse(event.body);
+            const updates = parseBody(event);
 
-            const jobs = await supabaseRequest(`jobs?recurring_id=eq.${recurringId}&select=id`);
+            const errors = validateJob(updates, { partial: true, allowed: SERIES_FIELDS });
+            if (errors.length > 0) throw new ValidationError(errors);
 
-            let count = 0;
-            for (const job of jobs || []) {
-                await supabaseRequest(`jobs?id=eq.${job.id}`, {
-                    method: 'PATCH',
-                    body: { ...updates, updated_at: new Date().toISOString() },
-                    prefer: 'return=minimal'
-                });
-                count++;
-            }
+            // One filtered PATCH for the whole series, then one batched Calendar pass
+            const previous = await supabaseRequest(`jobs?recurring_id=eq.${recurringId}&select=*`);
+            const updated = await supabaseRequest(`jobs?recurring_id=eq.${recurringId}`, {
+                method: 'PATCH',
+                body: { ...updates, ...SYNC_PENDING, updated_at: new Date().toISOString() }
+            });
+            await recordHistory('update', actor, pairById(previous, updated));
+
+            const sync = await syncSeriesEdit(updated);
+            await recordCalendarSync(sync);
 
             return {
                 statusCode: 200,
                 headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-                body: JSON.stringify({ updated: count })
+                body: JSON.stringify({ updated: (updated || []).length, sync, failed: failedSyncs(sync) })
             };
         }
 
-        // PUT /api/jobs/:id - Update a single job
+        // PUT /api/jobs/:id - Update a single job (with calendar sync)
         if (event.httpMethod === 'PUT' && segments[0] && segments[0] !== 'series') {
             const jobId = segments[0];
-            const updates = JSON.parse(event.body);
+            const updates = parseBody(event);
+            const expectedUpdatedAt = takeExpectedVersion(updates);
+
+            const errors = validateJob(updates, { partial: true });
+            if (errors.length > 0) throw new ValidationError(errors);
+
+            const previous = await supabaseRequest(`jobs?id=eq.${jobId}&select=*`);
+            if (!previous || previous.length === 0) {
+                return {
+                    statusCode: 404,
+                    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Job not found' })
+                };
+            }
 
-            await supabaseRequest(`jobs?id=eq.${jobId}`, {
+            // Only write if the row is still the version the client edited
+            let filter = `id=eq.${jobId}`;
+            if (expectedUpdatedAt === null) {
+                filter += '&updated_at=is.null';
+            } else if (expectedUpdatedAt !== undefined) {
+                filter += `&updated_at=eq.${encodeURIComponent(expectedUpdatedAt)}`;
+            }
+
+            const updated = await supabaseRequest(`jobs?${filter}`, {
                 method: 'PATCH',
-                body: { ...updates, updated_at: new Date().toISOString() },
-                prefer: 'return=minimal'
+                body: { ...updates, ...SYNC_PENDING, updated_at: new Date().toISOString() }
             });
 
+            if (!updated || updated.length === 0) {
+                // Another device saved first; hand back its version so the client can merge
+                const [current] = await supabaseRequest(`jobs?id=eq.${jobId}&select=*`);
+                return {
+                    statusCode: 409,
+                    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'This job was changed on another device', current: current || null })
+                };
+            }
+            await recordHistory('update', actor, pairById(previous, updated));
+
+            // Keep the linked Google Calendar event in step with the edit
+            const sync = await syncCalendarEvents(updated);
+            await recordCalendarSync(sync);
+
             return {
                 statusCode: 200,
                 headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-                body: JSON.stringify({ success: true })
+                body: JSON.stringify({ success: true, sync })
             };
         }
 
@@ -305,8 +1171,8 @@ exports.handler = async (event, context) => {
         if (event.httpMethod === 'DELETE' && segments[0] === 'delete' && segments[1]) {
             const jobId = segments[1];
 
-            // First, get the job to find the Google event ID
-            const jobs = await supabaseRequest(`jobs?id=eq.${jobId}&select=id,google_event_id`);
+            // First, get the job to find the Google event ID (and keep it for the audit log)
+            const jobs = await supabaseRequest(`jobs?id=eq.${jobId}&select=*`);
             const job = jobs && jobs[0];
 
             // Delete from Google Calendar if we have an event ID
@@ -319,6 +1185,7 @@ exports.handler = async (event, context) => {
                 method: 'DELETE',
                 prefer: 'return=minimal'
             });
+            if (job) await recordHistory('delete', actor, [{ before: job, after: null }]);
 
             return {
                 statusCode: 200,
@@ -328,59 +1195,110 @@ exports.handler = async (event, context) => {
         }
 
         // DELETE /api/jobs/delete-future/:recurringId/:fromDate - Hard delete future jobs
-        if (event.httpMethod === 'DELETE' && segments[0] === 'delete-future' && segments[1] && segments[2]) {
+        // DELETE /api/jobs/delete-series/:recurringId - Hard delete entire series
+        if (event.httpMethod === 'DELETE' &&
+            ((segments[0] === 'delete-future' && segments[1] && segments[2]) ||
+                (segments[0] === 'delete-series' && segments[1]))) {
             const recurringId = segments[1];
-            const fromDate = decodeURIComponent(segments[2]);
-
-            const jobs = await supabaseRequest(
-                `jobs?recurring_id=eq.${recurringId}&start_time=gte.${fromDate}&select=id,google_event_id`
-            );
 
-            let count = 0;
-            for (const job of jobs || []) {
-                // Delete from Google Calendar
-                if (job.google_event_id) {
-                    await deleteCalendarEvent(job.google_event_id);
-                }
-                // Delete from Supabase
-                await supabaseRequest(`jobs?id=eq.${job.id}`, {
-                    method: 'DELETE',
-                    prefer: 'return=minimal'
-                });
-                count++;
+            let filter = `recurring_id=eq.${recurringId}`;
+            if (segments[0] === 'delete-future') {
+                filter += `&start_time=gte.${encodeURIComponent(decodeURIComponent(segments[2]))}`;
             }
 
+            // One filtered DELETE; the returned rows tell us which events to remove
+            const deleted = await supabaseRequest(`jobs?${filter}`, { method: 'DELETE' });
+            await recordHistory('delete', actor, (deleted || []).map(job => ({ before: job, after: null })));
+
+            // Rows are already gone, so any failure here is an orphaned event to report
+            const fromDate = segments[0] === 'delete-future' ? decodeURIComponent(segments[2]) : null;
+            const sync = await deleteSeriesEvents(deleted, fromDate);
+
             return {
                 statusCode: 200,
                 headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-                body: JSON.stringify({ deleted: count })
+                body: JSON.stringify({ deleted: (deleted || []).length, sync, failed: failedSyncs(sync) })
             };
         }
 
-        // DELETE /api/jobs/delete-series/:recurringId - Hard delete entire series
-        if (event.httpMethod === 'DELETE' && segments[0] === 'delete-series' && segments[1]) {
+        // PATCH /api/jobs/cancel/:id - Cancel a single job (kept on the calendar)
+        if (event.httpMethod === 'PATCH' && segments[0] === 'cancel' && segments[1]) {
+            const jobId = segments[1];
+            const cancellation = parseCancellation(event);
+
+            const previous = await supabaseRequest(`jobs?id=eq.${jobId}&select=*`);
+            const cancelled = await supabaseRequest(`jobs?id=eq.${jobId}`, {
+                method: 'PATCH',
+                body: { ...cancellation, ...SYNC_PENDING }
+            });
+            await recordHistory('cancel', actor, pairById(previous, cancelled));
+
+            const sync = await syncCalendarEvents(cancelled);
+            await recordCalendarSync(sync);
+
+            return {
+                statusCode: 200,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ cancelled: (cancelled || []).length, sync, failed: failedSyncs(sync) })
+            };
+        }
+
+        // PATCH /api/jobs/cancel-future/:recurringId/:fromDate - Cancel this and upcoming jobs in a series
+        // PATCH /api/jobs/cancel-series/:recurringId - Cancel every job in a series
+        // Completed jobs are left alone in both cases.
+        if (event.httpMethod === 'PATCH' &&
+            ((segments[0] === 'cancel-future' && segments[1] && segments[2]) ||
+                (segments[0] === 'cancel-series' && segments[1]))) {
             const recurringId = segments[1];
+            const cancellation = parseCancellation(event);
+
+            let filter = `recurring_id=eq.${recurringId}&status=neq.done`;
+            if (segments[0] === 'cancel-future') {
+                filter += `&start_time=gte.${encodeURIComponent(decodeURIComponent(segments[2]))}`;
+            }
 
-            const jobs = await supabaseRequest(`jobs?recurring_id=eq.${recurringId}&select=id,google_event_id`);
+            const previous = await supabaseRequest(`jobs?${filter}&select=*`);
+            const cancelled = await supabaseRequest(`jobs?${filter}`, {
+                method: 'PATCH',
+                body: { ...cancellation, ...SYNC_PENDING }
+            });
+            await recordHistory('cancel', actor, pairById(previous, cancelled));
 
-            let count = 0;
-            for (const job of jobs || []) {
-                // Delete from Google Calendar
-                if (job.google_event_id) {
-                    await deleteCalendarEvent(job.google_event_id);
+            const sync = await syncCalendarEvents(cancelled);
+            await recordCalendarSync(sync);
+
+            return {
+                statusCode: 200,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ cancelled: (cancelled || []).length, sync, failed: failedSyncs(sync) })
+            };
+        }
+
+        // PATCH /api/jobs/restore/:id - Undo a cancellation
+        if (event.httpMethod === 'PATCH' && segments[0] === 'restore' && segments[1]) {
+            const jobId = segments[1];
+
+            const previous = await supabaseRequest(`jobs?id=eq.${jobId}&select=*`);
+            const restored = await supabaseRequest(`jobs?id=eq.${jobId}&status=eq.cancelled`, {
+                method: 'PATCH',
+                body: {
+                    status: 'pending',
+                    cancel_reason: null,
+                    cancel_note: null,
+                    cancelled_at: null,
+                    ...SYNC_PENDING,
+                    updated_at: new Date().toISOString()
                 }
-                // Delete from Supabase
-                await supabaseRequest(`jobs?id=eq.${job.id}`, {
-                    method: 'DELETE',
-                    prefer: 'return=minimal'
-                });
-                count++;
-            }
+            });
+            await recordHistory('restore', actor, pairById(previous, restored));
+
+            const sync = await syncCalendarEvents(restored);
+            await recordCalendarSync(sync);
 
             return {
                 statusCode: 200,
                 headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-                body: JSON.stringify({ deleted: count })
+                body: JSON.stringify({ restored: (restored || []).length, sync })
             };
         }
 
@@ -388,15 +1306,82 @@ exports.handler = async (event, context) => {
         if (event.httpMethod === 'PATCH' && segments[0] === 'done' && segments[1]) {
             const jobId = segments[1];
 
-            await supabaseRequest(`jobs?id=eq.${jobId}`, {
+            // Crew may only complete the jobs they can see: today's
+            let crewFilter = '';
+            if (user.role === 'crew') {
+                const { from, to } = crewListParams({});
+                crewFilter = `&start_time=gte.${from}&start_time=lt.${to}`;
+            }
+
+            const previous = await supabaseRequest(`jobs?id=eq.${jobId}&select=*`);
+            const updated = await supabaseRequest(`jobs?id=eq.${jobId}${crewFilter}`, {
                 method: 'PATCH',
-                body: { status: 'done', updated_at: new Date().toISOString() },
-                prefer: 'return=minimal'
+                body: { status: 'done', ...SYNC_PENDING, updated_at: new Date().toISOString() }
             });
+            if (crewFilter && previous.length > 0 && updated.length === 0) {
+                return {
+                    statusCode: 403,
+                    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Crew can only mark today\'s jobs done' })
+                };
+            }
+            await recordHistory('done', actor, pairById(previous, updated));
+
+            // The event description shows the status, so push it like any other change
+            const sync = await syncCalendarEvents(updated);
+            await recordCalendarSync(sync);
 
             return {
                 statusCode: 200,
                 headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ success: true, sync, failed: failedSyncs(sync) })
+            };
+        }
+
+        // POST /api/jobs/:id/calendar-sync - Retry pushing one job to Google Calendar now
+        if (event.httpMethod === 'POST' && segments.length === 2 && segments[1] === 'calendar-sync') {
+            const [result] = await retryCalendarSyncs([segments[0]]);
+            if (!result) {
+                return {
+                    statusCode: 404,
+                    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Job not found' })
+                };
+            }
+
+            return {
+                statusCode: 200,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sync: result })
+            };
+        }
+
+        // POST /api/jobs/:id/messages - Record that a reminder or thank-you was sent to the client
+        // (the text itself goes out from the phone's SMS app; this only keeps count in job history)
+        if (event.httpMethod === 'POST' && segments.length === 2 && segments[1] === 'messages') {
+            const jobId = segments[0];
+            const { kind } = parseBody(event) || {};
+            if (!MESSAGE_KINDS.includes(kind)) {
+                throw new ValidationError([{ field: 'kind', message: `kind must be one of: ${MESSAGE_KINDS.join(', ')}` }]);
+            }
+
+            const [job] = await supabaseRequest(`jobs?id=eq.${encodeURIComponent(jobId)}&select=id`);
+            if (!job) {
+                return {
+                    statusCode: 404,
+                    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Job not found' })
+                };
+            }
+
+            await supabaseRequest('job_history?select=id', {
+                method: 'POST',
+                body: { job_id: String(job.id), action: 'message', actor, changes: { message: { from: null, to: kind } } }
+            });
+
+            return {
+                statusCode: 201,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
                 body: JSON.stringify({ success: true })
             };
         }
@@ -409,6 +1394,14 @@ exports.handler = async (event, context) => {
         };
 
     } catch (error) {
+        if (error instanceof ValidationError) {
+            return {
+                statusCode: 400,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: error.message, fields: error.fields })
+            };
+        }
+
         console.error('API Error:', error);
         return {
             statusCode: 500,
@@ -417,3 +1410,6 @@ exports.handler = async (event, context) => {
         };
     }
 };
+
+// Shared with the scheduled calendar-sync-retry function
+exports.retryCalendarSyncs = retryCalendarSyncs;
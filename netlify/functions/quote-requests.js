@@ -0,0 +1,252 @@
+// Netlify Function: Public Quote Intake
+// The website's "Get a quote" form posts here. This is the one route the auth
+// edge function lets through without signing in, so it validates everything,
+// drops honeypot-caught bots, rate-limits per IP and suppresses repeats.
+
+const crypto = require('crypto');
+const { isContactsConfigured, contactsRequest } = require('../lib/contacts');
+
+// Salt for the stored IP hashes, so the raw address is never kept. Without it
+// the hashes could be reversed by hashing every IPv4 address, so intake refuses to run.
+const IP_HASH_SECRET = process.env.AUTH_SECRET;
+
+// Keys must match the service icons in renderQuotes (script.js)
+const SERVICES = ['mowing', 'hedge-trimming', 'leaf-cleanup', 'other'];
+const CONTACT_METHODS = ['phone', 'text', 'email'];
+
+// Hidden form field people never fill in; anything in it means a bot
+const HONEYPOT_FIELD = 'website';
+
+const RATE_LIMIT_MAX = 5;               // requests stored per IP...
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // ...per hour
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000; // same phone + service within a day
+
+// No quotes or angle brackets: the address ends up in a mailto: link
+const EMAIL_PATTERN = /^[^\s@"'<>]+@[^\s@"'<>]+\.[^\s@"'<>]{2,}$/;
+
+// ============================================================
+// Validation & Normalization
+// ============================================================
+
+// Trims and collapses runs of whitespace; non-strings become ''
+function cleanText(value) {
+    return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Normalizes a US phone number to "(555) 123-4567".
+ * @returns {string|null} null when it isn't a 10-digit number (with optional leading 1)
+ */
+function normalizePhone(value) {
+    let digits = String(value || '').replace(/\D/g, '');
+    if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+    if (digits.length !== 10) return null;
+    return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+}
+
+/**
+ * Validates a form submission and maps it to quote_requests columns.
+ * @returns {Object} { quote, errors } where errors is [{ field, message }]
+ */
+function validateQuoteRequest(body) {
+    const errors = [];
+
+    const name = cleanText(body.name);
+    if (!name || name.length > 100) {
+        errors.push({ field: 'name', message: 'is required (up to 100 characters)' });
+    }
+
+    const phone = normalizePhone(body.phone);
+    if (!phone) {
+        errors.push({ field: 'phone', message: 'must be a 10-digit phone number' });
+    }
+
+    const email = cleanText(body.email).toLowerCase();
+    if (email && (!EMAIL_PATTERN.test(email) || email.length > 254)) {
+        errors.push({ field: 'email', message: 'is not a valid email address' });
+    }
+
+    const address = cleanText(body.address);
+    if (!address || address.length > 200) {
+        errors.push({ field: 'address', message: 'is required (up to 200 characters)' });
+    }
+
+    const service = cleanText(body.service).toLowerCase().replace(/[\s_]+/g, '-');
+    if (!SERVICES.includes(service)) {
+        errors.push({ field: 'service', message: `must be one of: ${SERVICES.join(', ')}` });
+    }
+
+    const contactMethod = cleanText(body.contact_method).toLowerCase() || 'phone';
+    if (!CONTACT_METHODS.includes(contactMethod)) {
+        errors.push({ field: 'contact_method', message: `must be one of: ${CONTACT_METHODS.join(', ')}` });
+    } else if (contactMethod === 'email' && !email) {
+        errors.push({ field: 'email', message: 'is required when the preferred contact is email' });
+    }
+
+    // Keep line breaks in the message, just tidy the edges
+    const message = typeof body.message === 'string' ? body.message.trim() : '';
+    if (message.length > 2000) {
+        errors.push({ field: 'message', message: 'must be 2000 characters or fewer' });
+    }
+
+    return {
+        errors,
+        quote: {
+            name,
+            phone,
+            email: email || null,
+            address,
+            service,
+            contact_method: contactMethod,
+            message: message || null,
+            status: 'new'
+        }
+    };
+}
+
+function clientIpHash(event) {
+    const headers = event.headers || {};
+    const ip = headers['x-nf-client-connection-ip'] ||
+        (headers['x-forwarded-for'] || '').split(',')[0].trim() ||
+        'unknown';
+    return crypto.createHmac('sha256', IP_HASH_SECRET).update(ip).digest('hex');
+}
+
+function since(ms) {
+    return encodeURIComponent(new Date(Date.now() - ms).toISOString());
+}
+
+// ============================================================
+// CORS Headers
+// ============================================================
+
+// The form lives on the marketing site, so any origin may post
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+// ============================================================
+// Main Handler
+// ============================================================
+
+exports.handler = async (event, context) => {
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 204, headers: corsHeaders, body: '' };
+    }
+
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers: { ...corsHeaders, 'Allow': 'POST, OPTIONS', 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    if (!isContactsConfigured()) {
+        return {
+            statusCode: 500,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: 'Server configuration error: Missing CONTACTS_SUPABASE_SERVICE_KEY' })
+        };
+    }
+
+    if (!IP_HASH_SECRET) {
+        return {
+            statusCode: 500,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: 'Server configuration error: Missing AUTH_SECRET' })
+        };
+    }
+
+    try {
+        // Plain HTML forms post urlencoded; scripts post JSON
+        const contentType = (event.headers || {})['content-type'] || '';
+        const rawBody = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : (event.body || '');
+        let body;
+        try {
+            body = contentType.includes('application/x-www-form-urlencoded')
+                ? Object.fromEntries(new URLSearchParams(rawBody))
+                : JSON.parse(rawBody || '{}');
+        } catch (error) {
+            body = null;
+        }
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            return {
+                statusCode: 400,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Request body must be a JSON object or form data' })
+            };
+        }
+
+        // Bots get the same answer as people, so they don't learn to skip the field
+        if (cleanText(body[HONEYPOT_FIELD])) {
+            console.warn('Quote request dropped: honeypot field filled');
+            return {
+                statusCode: 201,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ success: true })
+            };
+        }
+
+        const { quote, errors } = validateQuoteRequest(body);
+        if (errors.length > 0) {
+            return {
+                statusCode: 400,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Validation failed', fields: errors })
+            };
+        }
+
+        const ipHash = clientIpHash(event);
+        const recent = await contactsRequest(
+            `quote_requests?submitter_ip_hash=eq.${ipHash}&created_at=gte.${since(RATE_LIMIT_WINDOW_MS)}&select=created_at&order=created_at.asc`
+        );
+        if (recent.length >= RATE_LIMIT_MAX) {
+            // Free again once the oldest request in the window ages out
+            const retryAfter = Math.max(1, Math.ceil(
+                (new Date(recent[0].created_at).getTime() + RATE_LIMIT_WINDOW_MS - Date.now()) / 1000
+            ));
+            console.warn(`Quote request rate limited: ${recent.length} from one IP in the last hour`);
+            return {
+                statusCode: 429,
+                headers: { ...corsHeaders, 'Retry-After': String(retryAfter), 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Too many quote requests. Please try again later or give us a call.' })
+            };
+        }
+
+        // A double-click or a resubmitted form: answer as if it worked, store it once
+        const [duplicate] = await contactsRequest(
+            `quote_requests?phone=eq.${encodeURIComponent(quote.phone)}&service=eq.${quote.service}` +
+            `&status=neq.dismissed&created_at=gte.${since(DUPLICATE_WINDOW_MS)}&select=id&limit=1`
+        );
+        if (duplicate) {
+            return {
+                statusCode: 200,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ success: true, duplicate: true })
+            };
+        }
+
+        await contactsRequest('quote_requests?select=id', {
+            method: 'POST',
+            body: { ...quote, submitter_ip_hash: ipHash }
+        });
+
+        return {
+            statusCode: 201,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ success: true })
+        };
+
+    } catch (error) {
+        // Don't leak database details to the public
+        console.error('Quote Intake Error:', error);
+        return {
+            statusCode: 500,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: 'Could not send your request. Please call us instead.' })
+        };
+    }
+};
@@ -0,0 +1,239 @@
+// Netlify Function: Quotes API
+// Quote requests from the website live in the separate contacts database.
+// The browser used to read and change them with the anon key; now only this
+// function can, with the contacts service key, behind the auth edge function.
+
+const { getRequestUser, hasScope } = require('../lib/auth');
+const { isContactsConfigured, contactsRequest, setQuoteStatus } = require('../lib/contacts');
+
+// Jobs database, for the jobs each quote turned into
+const SUPABASE_URL = process.env.SUPABASE_URL || 'https://eplsowiliweiilcoomtd.supabase.co';
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+// new → contacted → converted, or dismissed at any point
+const QUOTE_STATUSES = ['new', 'contacted', 'converted', 'dismissed'];
+
+// What the quote list shows unless ?status= asks for something else
+const DEFAULT_LIST_STATUSES = ['new', 'contacted', 'converted'];
+
+// quote_requests ids are bigint identities
+const QUOTE_ID_PATTERN = /^[1-9]\d*$/;
+
+// ============================================================
+// Validation
+// ============================================================
+
+// Thrown for request bodies and ids that fail validation; surfaced as a 400
+class ValidationError extends Error {
+    constructor(fields) {
+        super('Validation failed');
+        this.fields = fields;
+    }
+}
+
+function parseBody(event) {
+    try {
+        const body = JSON.parse(event.body || '');
+        if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('not an object');
+        return body;
+    } catch (error) {
+        throw new ValidationError([{ field: null, message: 'Request body must be a JSON object' }]);
+    }
+}
+
+function parseQuoteId(segment) {
+    if (!QUOTE_ID_PATTERN.test(segment)) {
+        throw new ValidationError([{ field: 'id', message: 'must be a quote request id (positive integer)' }]);
+    }
+    return segment;
+}
+
+// ============================================================
+// Linked Jobs
+// ============================================================
+
+/**
+ * Adds `jobs` to each quote: the jobs created from it (jobs.quote_request_id), oldest first.
+ * Quotes are still listed, without links, if the jobs database can't be read.
+ */
+async function withLinkedJobs(quotes) {
+    const ids = quotes.map(quote => quote.id);
+    let jobs = [];
+
+    if (ids.length > 0 && SUPABASE_KEY) {
+        try {
+            const response = await fetch(
+                `${SUPABASE_URL}/rest/v1/jobs?quote_request_id=in.(${ids.join(',')})` +
+                '&select=id,title,start_time,job_type,status,quote_request_id&order=start_time.asc',
+                { headers: { 'apikey': SUPABASE_KEY, 'Authorization': `Bearer ${SUPABASE_KEY}` } }
+            );
+            if (!response.ok) throw new Error(`Supabase error: ${response.status} - ${await response.text()}`);
+            jobs = await response.json();
+        } catch (error) {
+            console.error('Loading linked jobs failed:', error.message);
+        }
+    }
+
+    return quotes.map(quote => ({
+        ...quote,
+        jobs: jobs.filter(job => String(job.quote_request_id) === String(quote.id))
+    }));
+}
+
+// ============================================================
+// Roles
+// ============================================================
+
+/**
+ * Quotes are for owners. API tokens can list them with quotes:read.
+ */
+function isAllowed(user, method) {
+    if (user.role === 'owner') return true;
+    return method === 'GET' && hasScope(user, 'quotes:read');
+}
+
+// ============================================================
+// CORS Headers
+// ============================================================
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, OPTIONS'
+};
+
+// ============================================================
+// Main Handler
+// ============================================================
+
+exports.handler = async (event, context) => {
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 204, headers: corsHeaders, body: '' };
+    }
+
+    if (!isContactsConfigured()) {
+        return {
+            statusCode: 500,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: 'Server configuration error: Missing CONTACTS_SUPABASE_SERVICE_KEY' })
+        };
+    }
+
+    try {
+        const path = event.path.replace('/.netlify/functions/quotes', '').replace('/api/quotes', '');
+        const segments = path.split('/').filter(Boolean);
+
+        const user = await getRequestUser(event);
+        if (!user) {
+            return {
+                statusCode: 401,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Sign in to continue' })
+            };
+        }
+        if (!isAllowed(user, event.httpMethod)) {
+            return {
+                statusCode: 403,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: user.role === 'api' ? 'This token does not have the scope for that' : 'Only owners can do that' })
+            };
+        }
+
+        // GET /api/quotes - Quote requests, newest first (?status=new,contacted to filter)
+        if (event.httpMethod === 'GET' && segments.length === 0) {
+            const params = event.queryStringParameters || {};
+            const statuses = params.status ? params.status.split(',').map(s => s.trim()) : DEFAULT_LIST_STATUSES;
+            const unknown = statuses.filter(status => !QUOTE_STATUSES.includes(status));
+            if (unknown.length > 0) {
+                return {
+                    statusCode: 400,
+                    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: `Unknown status: ${unknown.join(', ')}. Use ${QUOTE_STATUSES.join(', ')}` })
+                };
+            }
+
+            const quotes = await contactsRequest(
+                `quote_requests?status=in.(${statuses.join(',')})&select=*&order=created_at.desc`
+            );
+
+            return {
+                statusCode: 200,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify(await withLinkedJobs(quotes))
+            };
+        }
+
+        // PATCH /api/quotes/:id - Update status. Marking contacted only moves a quote on from new.
+        if (event.httpMethod === 'PATCH' && segments.length === 1) {
+            const quoteId = parseQuoteId(segments[0]);
+            const body = parseBody(event);
+            if (!QUOTE_STATUSES.includes(body.status)) {
+                return {
+                    statusCode: 400,
+                    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: `status must be one of: ${QUOTE_STATUSES.join(', ')}` })
+                };
+            }
+
+            const quote = await setQuoteStatus(quoteId, body.status, {
+                onlyFrom: body.status === 'contacted' ? ['new'] : undefined
+            });
+            if (!quote) {
+                return {
+                    statusCode: 404,
+                    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Quote request not found' })
+                };
+            }
+
+            return {
+                statusCode: 200,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify(quote)
+            };
+        }
+
+        // POST /api/quotes/:id/dismiss - Hide a quote from the list
+        // POST /api/quotes/:id/convert - Mark a quote as turned into a job by hand
+        // (creating a job with its quote_request_id does this automatically)
+        if (event.httpMethod === 'POST' && segments.length === 2 && ['dismiss', 'convert'].includes(segments[1])) {
+            const status = segments[1] === 'dismiss' ? 'dismissed' : 'converted';
+            const quote = await setQuoteStatus(parseQuoteId(segments[0]), status);
+            if (!quote) {
+                return {
+                    statusCode: 404,
+                    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Quote request not found' })
+                };
+            }
+
+            return {
+                statusCode: 200,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify(quote)
+            };
+        }
+
+        return {
+            statusCode: 404,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: 'Not found', path: event.path, method: event.httpMethod })
+        };
+
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return {
+                statusCode: 400,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: error.message, fields: error.fields })
+            };
+        }
+
+        console.error('Quotes API Error:', error);
+        return {
+            statusCode: 500,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: error.message })
+        };
+    }
+};
@@ -0,0 +1,273 @@
+// Netlify Function: Users API
+// Per-person accounts with owner/crew roles. Owners manage the team; anyone
+// signed in can ask who they are.
+
+const { ROLES, BOOTSTRAP_USER, hashPassword, getRequestUser, forgetUser } = require('../lib/auth');
+
+const SUPABASE_URL = process.env.SUPABASE_URL || 'https://eplsowiliweiilcoomtd.supabase.co';
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+// Columns safe to send to the browser (never the password hash)
+const PUBLIC_COLUMNS = 'username,display_name,role,active,created_at';
+
+const USERNAME_PATTERN = /^[a-z0-9_.-]{2,40}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// ============================================================
+// Supabase Helpers
+// ============================================================
+
+async function supabaseRequest(path, options = {}) {
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        method: options.method || 'GET',
+        headers: {
+            'apikey': SUPABASE_KEY,
+            'Authorization': `Bearer ${SUPABASE_KEY}`,
+            'Content-Type': 'application/json',
+            'Prefer': options.prefer || 'return=representation'
+        },
+        body: options.body ? JSON.stringify(options.body) : undefined
+    });
+
+    if (!response.ok) {
+        const error = await response.text();
+        const err = new Error(`Supabase error: ${response.status} - ${error}`);
+        err.status = response.status;
+        throw err;
+    }
+
+    if (response.status === 204) {
+        return null;
+    }
+
+    return response.json();
+}
+
+// ============================================================
+// Validation
+// ============================================================
+
+// Thrown for request bodies that fail validation; surfaced as a 400
+class ValidationError extends Error {
+    constructor(fields) {
+        super('Validation failed');
+        this.fields = fields;
+    }
+}
+
+/**
+ * Validates a new account, or the fields of an account update when `partial` is set.
+ * @returns {Array} [{ field, message }], empty when valid
+ */
+function validateUser(user, { partial = false } = {}) {
+    const errors = [];
+    const has = field => user[field] !== undefined;
+
+    if (!partial || has('username')) {
+        if (partial) {
+            errors.push({ field: 'username', message: 'cannot be changed' });
+        } else if (typeof user.username !== 'string' || !USERNAME_PATTERN.test(user.username)) {
+            errors.push({ field: 'username', message: 'must be 2-40 lowercase letters, numbers, dots, dashes or underscores' });
+        } else if (BOOTSTRAP_USER && user.username === BOOTSTRAP_USER.toLowerCase()) {
+            // Would share a login name with the BASIC_AUTH_USER owner
+            errors.push({ field: 'username', message: 'is reserved' });
+        }
+    }
+    if (!partial || has('display_name')) {
+        if (typeof user.display_name !== 'string' || !user.display_name.trim() || user.display_name.length > 60) {
+            errors.push({ field: 'display_name', message: 'is required (up to 60 characters)' });
+        }
+    }
+    if (!partial || has('role')) {
+        if (!ROLES.includes(user.role)) {
+            errors.push({ field: 'role', message: `must be one of: ${ROLES.join(', ')}` });
+        }
+    }
+    if (!partial || has('password')) {
+        if (typeof user.password !== 'string' || user.password.length < MIN_PASSWORD_LENGTH) {
+            errors.push({ field: 'password', message: `must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+    }
+    if (has('active') && typeof user.active !== 'boolean') {
+        errors.push({ field: 'active', message: 'must be true or false' });
+    }
+
+    const allowed = ['username', 'display_name', 'role', 'password', 'active'];
+    Object.keys(user).filter(field => !allowed.includes(field)).forEach(field => {
+        errors.push({ field, message: 'is not a user field' });
+    });
+
+    return errors;
+}
+
+/**
+ * Maps validated input to app_users columns, hashing any new password.
+ */
+function toUserRow(user) {
+    const row = {};
+    if (user.username !== undefined) row.username = user.username;
+    if (user.display_name !== undefined) row.display_name = user.display_name.trim();
+    if (user.role !== undefined) row.role = user.role;
+    if (user.active !== undefined) row.active = user.active;
+    if (user.password !== undefined) row.password_hash = hashPassword(user.password);
+    return row;
+}
+
+function parseBody(event) {
+    try {
+        const body = JSON.parse(event.body || '');
+        if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('not an object');
+        return body;
+    } catch (error) {
+        throw new ValidationError([{ field: null, message: 'Request body must be a JSON object' }]);
+    }
+}
+
+// ============================================================
+// CORS Headers
+// ============================================================
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, OPTIONS'
+};
+
+// ============================================================
+// Main Handler
+// ============================================================
+
+exports.handler = async (event, context) => {
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 204, headers: corsHeaders, body: '' };
+    }
+
+    if (!SUPABASE_KEY) {
+        return {
+            statusCode: 500,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: 'Server configuration error: Missing SUPABASE_SERVICE_KEY' })
+        };
+    }
+
+    try {
+        const path = event.path.replace('/.netlify/functions/users', '').replace('/api/users', '');
+        const segments = path.split('/').filter(Boolean);
+
+        const user = await getRequestUser(event);
+        if (!user) {
+            return {
+                statusCode: 401,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Sign in to continue' })
+            };
+        }
+
+        // GET /api/users/me - Who is signed in, and their role
+        if (event.httpMethod === 'GET' && segments.length === 1 && segments[0] === 'me') {
+            return {
+                statusCode: 200,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify(user)
+            };
+        }
+
+        if (user.role !== 'owner') {
+            return {
+                statusCode: 403,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Only owners can manage the team' })
+            };
+        }
+
+        // GET /api/users - List every account
+        if (event.httpMethod === 'GET' && segments.length === 0) {
+            const users = await supabaseRequest(`app_users?select=${PUBLIC_COLUMNS}&order=display_name.asc`);
+
+            return {
+                statusCode: 200,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify(users)
+            };
+        }
+
+        // POST /api/users - Create an account
+        if (event.httpMethod === 'POST' && segments.length === 0) {
+            const body = parseBody(event);
+            if (typeof body.username === 'string') body.username = body.username.trim().toLowerCase();
+
+            const errors = validateUser(body);
+            if (errors.length > 0) throw new ValidationError(errors);
+
+            let created;
+            try {
+                [created] = await supabaseRequest(`app_users?select=${PUBLIC_COLUMNS}`, {
+                    method: 'POST',
+                    body: toUserRow(body)
+                });
+            } catch (error) {
+                if (error.status !== 409) throw error;
+                throw new ValidationError([{ field: 'username', message: 'is already taken' }]);
+            }
+
+            return {
+                statusCode: 201,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify(created)
+            };
+        }
+
+        // PATCH /api/users/:username - Rename, change role, reset password or (de)activate
+        if (event.httpMethod === 'PATCH' && segments.length === 1) {
+            const username = decodeURIComponent(segments[0]);
+            const updates = parseBody(event);
+
+            const errors = validateUser(updates, { partial: true });
+            if (username === user.username && (updates.role !== undefined || updates.active !== undefined)) {
+                errors.push({ field: updates.role !== undefined ? 'role' : 'active', message: 'cannot be changed on your own account' });
+            }
+            if (errors.length > 0) throw new ValidationError(errors);
+
+            const [updated] = await supabaseRequest(
+                `app_users?username=eq.${encodeURIComponent(username)}&select=${PUBLIC_COLUMNS}`,
+                { method: 'PATCH', body: { ...toUserRow(updates), updated_at: new Date().toISOString() } }
+            );
+            if (!updated) {
+                return {
+                    statusCode: 404,
+                    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'User not found' })
+                };
+            }
+            forgetUser(username);
+
+            return {
+                statusCode: 200,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify(updated)
+            };
+        }
+
+        return {
+            statusCode: 404,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: 'Not found', path: event.path, method: event.httpMethod })
+        };
+
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return {
+                statusCode: 400,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: error.message, fields: error.fields })
+            };
+        }
+
+        console.error('Users API Error:', error);
+        return {
+            statusCode: 500,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: error.message })
+        };
+    }
+};
@@ -0,0 +1,208 @@
+// Shared authentication helpers for the Netlify functions
+// The auth edge function signs the jls_auth session cookie; functions verify it
+// here and look up the signed-in user's current role in app_users. Scripts
+// send an API token as a Bearer header instead, looked up in api_tokens.
+// Keep the token and password hash formats in step with netlify/edge-functions/auth.js.
+
+const crypto = require('crypto');
+
+const SUPABASE_URL = process.env.SUPABASE_URL || 'https://eplsowiliweiilcoomtd.supabase.co';
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+const AUTH_SECRET = process.env.AUTH_SECRET;
+const AUTH_SECRET_VERSION = process.env.AUTH_SECRET_VERSION || '1';
+
+// The shared login from before per-person accounts; signs in as an owner so
+// the first real accounts can be created
+const BOOTSTRAP_USER = process.env.BASIC_AUTH_USER;
+
+const SESSION_COOKIE = 'jls_auth';
+const ROLES = ['owner', 'crew'];
+
+// What an API token may be granted. Requests made with a token get the 'api' role.
+const TOKEN_SCOPES = ['jobs:read', 'jobs:write', 'quotes:read'];
+const API_TOKEN_PREFIX = 'jls_';
+
+// last_used_at is written at most this often per token
+const TOKEN_TOUCH_MS = 60 * 1000;
+
+// Kept low enough for the edge function's CPU budget; stored per hash so it can be raised
+const PASSWORD_ITERATIONS = 50000;
+
+// Role and active flag are re-read at most this often per warm function instance
+const USER_CACHE_MS = 60 * 1000;
+const userCache = new Map();
+
+function readCookie(event, name) {
+    const headers = event.headers || {};
+    const header = headers.cookie || headers.Cookie || '';
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index !== -1 && part.slice(0, index).trim() === name) {
+            return decodeURIComponent(part.slice(index + 1).trim());
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks a session token's signature, secret version, issue time and expiry.
+ * @returns {Object|null} The token's claims ({ v, sub, bootstrap, iat, exp }), or null if it is not valid
+ */
+function verifySessionToken(token) {
+    if (!AUTH_SECRET || !token) return null;
+
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+
+    const expected = crypto.createHmac('sha256', AUTH_SECRET).update(payload).digest('base64url');
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    // Same rules as the auth edge function, allowing a minute of clock skew on iat
+    const now = Math.floor(Date.now() / 1000);
+    const valid = claims.v === AUTH_SECRET_VERSION && typeof claims.sub === 'string' &&
+        typeof claims.bootstrap === 'boolean' &&
+        Number.isInteger(claims.iat) && claims.iat <= now + 60 &&
+        Number.isInteger(claims.exp) && claims.exp > now;
+    return valid ? claims : null;
+}
+
+/**
+ * Hashes a password as "pbkdf2_sha256$<iterations>$<salt>$<hash>" (base64).
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.pbkdf2Sync(password, salt, PASSWORD_ITERATIONS, 32, 'sha256');
+    return `pbkdf2_sha256$${PASSWORD_ITERATIONS}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Creates a new API token. Only its hash is stored; the token is shown to the owner once.
+ * @returns {Object} { token, tokenHash, tokenPrefix }
+ */
+function createApiToken() {
+    const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    return { token, tokenHash: hashApiToken(token), tokenPrefix: token.slice(0, 12) };
+}
+
+/**
+ * SHA-256 (hex) of an API token. Tokens are long and random, so a fast hash is enough.
+ */
+function hashApiToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function readBearerToken(event) {
+    const headers = event.headers || {};
+    const match = /^Bearer\s+(\S+)$/i.exec(headers.authorization || headers.Authorization || '');
+    return match && match[1].startsWith(API_TOKEN_PREFIX) ? match[1] : null;
+}
+
+/**
+ * Looks up an unrevoked API token and records that it was used.
+ * @returns {Promise<Object|null>} { username, name, role: 'api', scopes }
+ */
+async function fetchTokenUser(token) {
+    const response = await fetch(
+        `${SUPABASE_URL}/rest/v1/api_tokens?token_hash=eq.${hashApiToken(token)}&revoked_at=is.null&select=id,name,scopes,last_used_at`,
+        { headers: { 'apikey': SUPABASE_KEY, 'Authorization': `Bearer ${SUPABASE_KEY}` } }
+    );
+    if (!response.ok) {
+        throw new Error(`Supabase error: ${response.status} - ${await response.text()}`);
+    }
+    const [row] = await response.json();
+    if (!row) return null;
+
+    if (!row.last_used_at || Date.now() - new Date(row.last_used_at).getTime() > TOKEN_TOUCH_MS) {
+        // Best effort: a failed timestamp write must not fail the request
+        await fetch(`${SUPABASE_URL}/rest/v1/api_tokens?id=eq.${row.id}`, {
+            method: 'PATCH',
+            headers: {
+                'apikey': SUPABASE_KEY,
+                'Authorization': `Bearer ${SUPABASE_KEY}`,
+                'Content-Type': 'application/json',
+                'Prefer': 'return=minimal'
+            },
+            body: JSON.stringify({ last_used_at: new Date().toISOString() })
+        }).catch(error => console.warn('Could not record token use:', error.message));
+    }
+
+    return { username: `token:${row.id}`, name: `API token "${row.name}"`, role: 'api', scopes: row.scopes };
+}
+
+/**
+ * True when the user may use a token scope. Signed-in people are limited by role instead.
+ */
+function hasScope(user, scope) {
+    return user.role === 'api' && Array.isArray(user.scopes) && user.scopes.includes(scope);
+}
+
+async function fetchUser(username) {
+    const response = await fetch(
+        `${SUPABASE_URL}/rest/v1/app_users?username=eq.${encodeURIComponent(username)}&active=is.true&select=username,display_name,role`,
+        { headers: { 'apikey': SUPABASE_KEY, 'Authorization': `Bearer ${SUPABASE_KEY}` } }
+    );
+    if (!response.ok) {
+        throw new Error(`Supabase error: ${response.status} - ${await response.text()}`);
+    }
+    const [row] = await response.json();
+    return row ? { username: row.username, name: row.display_name, role: row.role } : null;
+}
+
+/**
+ * Identifies the signed-in user from the session cookie, or the API token in
+ * the Authorization header.
+ * @returns {Promise<Object|null>} { username, name, role } (plus scopes for API
+ *   tokens), or null when the session is missing, invalid or belongs to a
+ *   deactivated account, or the token is unknown or revoked
+ */
+async function getRequestUser(event) {
+    const bearerToken = readBearerToken(event);
+    if (bearerToken) return fetchTokenUser(bearerToken);
+
+    const claims = verifySessionToken(readCookie(event, SESSION_COOKIE));
+    if (!claims) return null;
+
+    // Only the edge function's env-credentials check sets this claim: an app_users
+    // account can't become an owner by sharing the bootstrap login's name
+    if (claims.bootstrap === true) {
+        return { username: claims.sub, name: claims.sub, role: 'owner' };
+    }
+
+    const cached = userCache.get(claims.sub);
+    if (cached && cached.expiresAt > Date.now()) return cached.user;
+
+    const user = await fetchUser(claims.sub);
+    userCache.set(claims.sub, { user, expiresAt: Date.now() + USER_CACHE_MS });
+    return user;
+}
+
+/**
+ * Drops a cached user so role or password changes apply on the next request.
+ */
+function forgetUser(username) {
+    userCache.delete(username);
+}
+
+module.exports = {
+    ROLES,
+    TOKEN_SCOPES,
+    BOOTSTRAP_USER,
+    hashPassword,
+    createApiToken,
+    hashApiToken,
+    verifySessionToken,
+    getRequestUser,
+    hasScope,
+    forgetUser
+};
@@ -0,0 +1,74 @@
+// Shared Google Calendar event builder for the Netlify functions
+// Both functions that write jobs to Google (jobs and google-calendar) build
+// the event here, so titles, descriptions, durations and series instance
+// status are the same whichever one pushed it.
+
+const { calendarEventTimes } = require('./datetime');
+
+// Minutes on site and the arrival window quoted in reminders, when a job doesn't set its own.
+// Keep in step with CONFIG.jobTypeDefaults in script.js
+const JOB_TYPE_DEFAULTS = {
+    mowing: { duration_minutes: 60, arrival_window_minutes: 30 },
+    hedge: { duration_minutes: 180, arrival_window_minutes: 60 },
+    quote: { duration_minutes: 30, arrival_window_minutes: 30 }
+};
+
+// First line of every event description; reconciliation uses it to recognise tracker events
+const TRACKER_EVENT_MARKER = 'JLS Lawn Maintenance Job';
+
+/**
+ * Fills in a job's duration and arrival window from its type when not given.
+ */
+function withTypeDefaults(job) {
+    const defaults = JOB_TYPE_DEFAULTS[job.job_type] || JOB_TYPE_DEFAULTS.mowing;
+    return {
+        ...job,
+        duration_minutes: job.duration_minutes ?? defaults.duration_minutes,
+        arrival_window_minutes: job.arrival_window_minutes ?? defaults.arrival_window_minutes
+    };
+}
+
+/**
+ * Converts a job to a Google Calendar event body.
+ * Series occurrences (jobs with google_series_event_id) also get a status, so
+ * a cancelled one shows as a skipped instance of its recurring event.
+ */
+function jobToCalendarEvent(job) {
+    // job.start_time is a naive local datetime like "2026-01-08T10:00" in the business timezone
+    const { duration_minutes: duration } = withTypeDefaults(job);
+    const { start, end } = calendarEventTimes(job.start_time, duration);
+
+    const title = job.title || 'Lawn Job';
+
+    let description = `${TRACKER_EVENT_MARKER}\n\n`;
+    if (job.job_type) description += `Type: ${job.job_type}\n`;
+    if (job.price) description += `Price: $${job.price}\n`;
+    if (job.notes) description += `Notes: ${job.notes}\n`;
+    if (job.status) description += `Status: ${job.status}\n`;
+    if (job.status === 'cancelled' && job.cancel_reason) {
+        description += `Cancel reason: ${job.cancel_reason.replace('_', ' ')}\n`;
+    }
+
+    const calendarEvent = {
+        summary: title,
+        description: description,
+        location: job.address || '',
+        start,
+        end,
+        colorId: job.job_type === 'mowing' ? '10' : '6'
+    };
+
+    if (job.google_series_event_id) {
+        // Series occurrences are instances of a recurring event; a cancelled one is skipped
+        calendarEvent.status = job.status === 'cancelled' ? 'cancelled' : 'confirmed';
+    }
+
+    return calendarEvent;
+}
+
+module.exports = {
+    JOB_TYPE_DEFAULTS,
+    TRACKER_EVENT_MARKER,
+    withTypeDefaults,
+    jobToCalendarEvent
+};
@@ -0,0 +1,87 @@
+// Shared access to the contacts database (website quote requests)
+// It is a separate Supabase project from the jobs database, with its own service key.
+
+const CONTACTS_SUPABASE_URL = process.env.CONTACTS_SUPABASE_URL || 'https://naxhczwlfymynqiescmn.supabase.co';
+const CONTACTS_SUPABASE_KEY = process.env.CONTACTS_SUPABASE_SERVICE_KEY;
+
+/**
+ * True when the contacts service key is set; callers report a configuration error otherwise.
+ */
+function isContactsConfigured() {
+    return Boolean(CONTACTS_SUPABASE_KEY);
+}
+
+async function contactsRequest(path, options = {}) {
+    const response = await fetch(`${CONTACTS_SUPABASE_URL}/rest/v1/${path}`, {
+        method: options.method || 'GET',
+        headers: {
+            'apikey': CONTACTS_SUPABASE_KEY,
+            'Authorization': `Bearer ${CONTACTS_SUPABASE_KEY}`,
+            'Content-Type': 'application/json',
+            'Prefer': options.prefer || 'return=representation'
+        },
+        body: options.body ? JSON.stringify(options.body) : undefined
+    });
+
+    if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`Supabase error: ${response.status} - ${error}`);
+    }
+
+    if (response.status === 204) {
+        return null;
+    }
+
+    return response.json();
+}
+
+/**
+ * Sets a quote's status.
+ * @param {Object} [options.onlyFrom] - Statuses the quote must currently have; others are left alone
+ * @returns {Promise<Object|null>} The quote (unchanged if it wasn't in `onlyFrom`), or null if it doesn't exist
+ */
+async function setQuoteStatus(quoteId, status, { onlyFrom } = {}) {
+    const id = encodeURIComponent(quoteId);
+    const guard = onlyFrom ? `&status=in.(${onlyFrom.join(',')})` : '';
+
+    const [updated] = await contactsRequest(`quote_requests?id=eq.${id}${guard}&select=*`, {
+        method: 'PATCH',
+        body: { status }
+    });
+    if (updated || !onlyFrom) return updated || null;
+
+    const [current] = await contactsRequest(`quote_requests?id=eq.${id}&select=*`);
+    return current || null;
+}
+
+/**
+ * Marks the quote requests that just became jobs as converted.
+ * Best effort: the jobs already exist, so a failure here is logged, not thrown.
+ * @param {Array} quoteIds - quote_request_id of each new job (nulls are skipped)
+ */
+async function markQuotesConverted(quoteIds) {
+    const ids = [...new Set(quoteIds.filter(id => id !== null && id !== undefined))];
+    if (ids.length === 0) return;
+
+    if (!isContactsConfigured()) {
+        console.warn('Cannot mark quotes converted: missing CONTACTS_SUPABASE_SERVICE_KEY');
+        return;
+    }
+
+    try {
+        await contactsRequest(`quote_requests?id=in.(${ids.join(',')})`, {
+            method: 'PATCH',
+            body: { status: 'converted' },
+            prefer: 'return=minimal'
+        });
+    } catch (error) {
+        console.error('Marking quotes converted failed:', error.message);
+    }
+}
+
+module.exports = {
+    isContactsConfigured,
+    contactsRequest,
+    setQuoteStatus,
+    markQuotesConverted
+};
@@ -0,0 +1,143 @@
+// Shared date/time helpers for the Netlify functions
+// Jobs store start_time as a naive local "YYYY-MM-DDTHH:mm" in the business
+// timezone. These helpers convert between that and real instants so every
+// function produces the same Calendar times, whatever timezone the runtime uses.
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+/**
+ * Resolves the configured IANA timezone (BUSINESS_TIMEZONE), falling back to
+ * the default if the setting is not a zone Intl recognises.
+ */
+function resolveTimezone(timeZone) {
+    if (!timeZone) return DEFAULT_TIMEZONE;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return timeZone;
+    } catch (error) {
+        console.error(`Unknown BUSINESS_TIMEZONE "${timeZone}", using ${DEFAULT_TIMEZONE}`);
+        return DEFAULT_TIMEZONE;
+    }
+}
+
+const BUSINESS_TIMEZONE = resolveTimezone(process.env.BUSINESS_TIMEZONE);
+
+const HALF_DAY_MS = 12 * 60 * 60 * 1000;
+
+const LOCAL_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/;
+
+const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: BUSINESS_TIMEZONE,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+});
+
+function wallClockParts(instant) {
+    const parts = Object.fromEntries(formatter.formatToParts(instant).map(p => [p.type, p.value]));
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second)
+    };
+}
+
+/**
+ * Milliseconds the business timezone is ahead of UTC at an instant (negative in the Americas).
+ */
+function offsetAt(instant) {
+    const ms = instant instanceof Date ? instant.getTime() : instant;
+    const p = wallClockParts(new Date(ms));
+    const wallAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return wallAsUtc - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Converts an instant (Date or RFC 3339 string) to the naive local
+ * "YYYY-MM-DDTHH:mm" the jobs table stores.
+ */
+function toLocalDateTime(instant) {
+    const p = wallClockParts(new Date(instant));
+    const pad = n => String(n).padStart(2, '0');
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+/**
+ * Converts a naive local "YYYY-MM-DDTHH:mm" (or a bare date, meaning midnight)
+ * to the instant it names.
+ * A time repeated when clocks fall back resolves to the first (daylight) one;
+ * a time skipped when clocks spring forward moves forward by the gap, so
+ * 02:30 on a spring-forward day becomes 03:30.
+ * @throws {Error} When the string is not a local datetime
+ */
+function fromLocalDateTime(localDateTime) {
+    const match = LOCAL_PATTERN.exec(localDateTime || '');
+    if (!match) throw new Error(`Invalid local datetime: ${localDateTime}`);
+
+    const [year, month, day, hour, minute] = match.slice(1).map(value => Number(value || 0));
+    const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+    // The offsets in force either side of any DST change that day; each is right if it maps back to itself
+    const offsets = [offsetAt(wallAsUtc - HALF_DAY_MS), offsetAt(wallAsUtc + HALF_DAY_MS)];
+    const matches = offsets
+        .map(offset => wallAsUtc - offset)
+        .filter(instant => offsetAt(instant) === wallAsUtc - instant);
+    if (matches.length > 0) {
+        return new Date(Math.min(...matches));
+    }
+
+    // The wall time does not exist (spring forward); reading it with the earlier offset lands after the gap
+    return new Date(wallAsUtc - Math.min(...offsets));
+}
+
+/**
+ * Adds elapsed minutes to a naive local time. Works on real instants, so
+ * crossing midnight moves to the next day and crossing a DST change keeps
+ * the true length (a 3-hour job starting 00:30 on spring-forward day ends 04:30).
+ */
+function addMinutes(localDateTime, minutes) {
+    return toLocalDateTime(new Date(fromLocalDateTime(localDateTime).getTime() + minutes * 60 * 1000));
+}
+
+// RFC 3339 for an instant, with the offset in force then
+function formatOffsetDateTime(instant) {
+    const offsetMinutes = Math.round(offsetAt(instant) / 60000);
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const abs = Math.abs(offsetMinutes);
+    const pad = n => String(n).padStart(2, '0');
+    return `${toLocalDateTime(instant)}:00${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * RFC 3339 with the business timezone's offset, e.g. "2026-01-08T10:00:00-05:00".
+ */
+function toOffsetDateTime(localDateTime) {
+    return formatOffsetDateTime(fromLocalDateTime(localDateTime));
+}
+
+/**
+ * Google Calendar start/end for a job that starts at a local time and runs for a number of minutes.
+ * The end is worked out as an instant, so a job ending in the hour repeated when
+ * clocks fall back gets the second (standard time) offset and keeps its length.
+ */
+function calendarEventTimes(localStart, durationMinutes) {
+    const start = fromLocalDateTime(localStart.slice(0, 16));
+    const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+    return {
+        start: { dateTime: formatOffsetDateTime(start), timeZone: BUSINESS_TIMEZONE },
+        end: { dateTime: formatOffsetDateTime(end), timeZone: BUSINESS_TIMEZONE }
+    };
+}
+
+module.exports = {
+    BUSINESS_TIMEZONE,
+    resolveTimezone,
+    offsetAt,
+    toLocalDateTime,
+    fromLocalDateTime,
+    addMinutes,
+    toOffsetDateTime,
+    calendarEventTimes
+};
@@ -0,0 +1,323 @@
+// Shared Google Calendar client for the Netlify functions
+// Authenticates with the service account, caches the access token for its
+// lifetime (per warm function instance) and retries rate-limited or failed calls.
+
+const crypto = require('crypto');
+
+const GOOGLE_CALENDAR_ID = process.env.GOOGLE_CALENDAR_ID || 'jacksum81@gmail.com';
+
+// Service account credentials from environment variables
+const SERVICE_ACCOUNT_EMAIL = process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL;
+const SERVICE_ACCOUNT_PRIVATE_KEY = process.env.GOOGLE_SERVICE_ACCOUNT_PRIVATE_KEY;
+
+// API endpoints (overridable so the functions can run against a local fake)
+const CALENDAR_API_URL = (process.env.GOOGLE_CALENDAR_API_URL || 'https://www.googleapis.com/calendar/v3').replace(/\/$/, '');
+const OAUTH_TOKEN_URL = process.env.GOOGLE_OAUTH_TOKEN_URL || 'https://oauth2.googleapis.com/token';
+const CALENDAR_BATCH_URL = process.env.GOOGLE_CALENDAR_BATCH_URL ||
+    `${new URL(CALENDAR_API_URL).origin}/batch${new URL(CALENDAR_API_URL).pathname}`;
+
+const TOKEN_LIFETIME_SECONDS = 3600;
+// Refresh a little early so a token never expires mid-request
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+
+// Google allows up to 50 calls per batch request
+const CALENDAR_BATCH_SIZE = 50;
+
+let cachedToken = null;
+let pendingToken = null;
+
+/**
+ * True when service account credentials are set; callers skip sync otherwise.
+ */
+function isCalendarConfigured() {
+    return Boolean(SERVICE_ACCOUNT_EMAIL && SERVICE_ACCOUNT_PRIVATE_KEY);
+}
+
+/**
+ * Creates a signed JWT assertion for the service account
+ */
+function createJWT() {
+    const header = { alg: 'RS256', typ: 'JWT' };
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+        iss: SERVICE_ACCOUNT_EMAIL,
+        sub: SERVICE_ACCOUNT_EMAIL,
+        aud: 'https://oauth2.googleapis.com/token',
+        iat: now,
+        exp: now + TOKEN_LIFETIME_SECONDS,
+        scope: 'https://www.googleapis.com/auth/calendar.events'
+    };
+
+    const base64Header = Buffer.from(JSON.stringify(header)).toString('base64url');
+    const base64Payload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const unsignedToken = `${base64Header}.${base64Payload}`;
+
+    const sign = crypto.createSign('RSA-SHA256');
+    sign.update(unsignedToken);
+
+    // The key may arrive from the env var with literal or double-escaped \n
+    const privateKey = SERVICE_ACCOUNT_PRIVATE_KEY
+        .replace(/\\\\n/g, '\n')
+        .replace(/\\n/g, '\n');
+    const signature = sign.sign(privateKey, 'base64url');
+
+    return `${unsignedToken}.${signature}`;
+}
+
+async function fetchAccessToken() {
+    const response = await fetchWithRetry(OAUTH_TOKEN_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+            grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+            assertion: createJWT()
+        })
+    });
+
+    if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`Failed to get access token: ${error}`);
+    }
+
+    const data = await response.json();
+    const expiresIn = Number(data.expires_in) || TOKEN_LIFETIME_SECONDS;
+    return { value: data.access_token, expiresAt: Date.now() + expiresIn * 1000 };
+}
+
+/**
+ * Gets an access token, reusing the cached one until shortly before it expires.
+ * Concurrent callers share a single token request.
+ */
+async function getAccessToken() {
+    if (cachedToken && cachedToken.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+        return cachedToken.value;
+    }
+
+    if (!pendingToken) {
+        pendingToken = fetchAccessToken()
+            .then(token => {
+                cachedToken = token;
+                return token.value;
+            })
+            .finally(() => {
+                pendingToken = null;
+            });
+    }
+
+    return pendingToken;
+}
+
+function isRetryable(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Delay before the next attempt: the server's Retry-After when given,
+ * otherwise exponential backoff with jitter.
+ */
+function retryDelay(response, attempt) {
+    const retryAfter = response && Number(response.headers.get('retry-after'));
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, RETRY_MAX_DELAY_MS);
+
+    const backoff = RETRY_BASE_DELAY_MS * 2 ** attempt;
+    return Math.min(backoff + Math.random() * RETRY_BASE_DELAY_MS, RETRY_MAX_DELAY_MS);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * fetch() that retries 429/5xx responses and network errors with backoff.
+ * Returns the last response once retries run out so callers report the real error.
+ * @param {Object|Function} init - Request options, or a function returning them per attempt
+ */
+async function fetchWithRetry(url, init) {
+    for (let attempt = 0; ; attempt++) {
+        const options = typeof init === 'function' ? await init() : init;
+        let response;
+
+        try {
+            response = await fetch(url, options);
+        } catch (error) {
+            if (attempt >= MAX_RETRIES) throw error;
+            await sleep(retryDelay(null, attempt));
+            continue;
+        }
+
+        if (!isRetryable(response.status) || attempt >= MAX_RETRIES) {
+            return response;
+        }
+
+        console.warn(`Google API ${response.status}, retrying (attempt ${attempt + 1} of ${MAX_RETRIES})`);
+        await sleep(retryDelay(response, attempt));
+    }
+}
+
+/**
+ * fetch() with the service account's bearer token. A 401 drops the cached
+ * token and tries once more with a fresh one.
+ */
+async function authorizedFetch(url, options) {
+    const send = async () => fetchWithRetry(url, async () => ({
+        ...options,
+        headers: { ...options.headers, 'Authorization': `Bearer ${await getAccessToken()}` }
+    }));
+
+    const response = await send();
+    if (response.status !== 401) return response;
+
+    cachedToken = null;
+    return send();
+}
+
+/**
+ * Makes an authenticated request to the configured calendar
+ * @param {string} endpoint - Path relative to the calendar, e.g. "/events"
+ * @throws {Error} With a `status` property when the API responds with an error
+ */
+async function calendarRequest(endpoint, options = {}) {
+    const baseUrl = `${CALENDAR_API_URL}/calendars/${encodeURIComponent(GOOGLE_CALENDAR_ID)}`;
+
+    const response = await authorizedFetch(`${baseUrl}${endpoint}`, {
+        method: options.method || 'GET',
+        headers: {
+            'Content-Type': 'application/json',
+            ...options.headers
+        },
+        body: options.body ? JSON.stringify(options.body) : undefined
+    });
+
+    if (!response.ok) {
+        const error = await response.text();
+        const err = new Error(`Calendar API error: ${response.status} - ${error}`);
+        err.status = response.status;
+        throw err;
+    }
+
+    if (response.status === 204) {
+        return null;
+    }
+
+    return response.json();
+}
+
+/**
+ * Parses a multipart/mixed batch response into [{ status, body }] by item index.
+ */
+function parseBatchResponse(text, boundary, count) {
+    const results = new Array(count).fill(null);
+
+    for (const part of text.split(`--${boundary}`)) {
+        const idMatch = part.match(/Content-ID:\s*<response-item(\d+)>/i);
+        const statusMatch = part.match(/HTTP\/1\.1 (\d{3})/);
+        if (!idMatch || !statusMatch) continue;
+
+        // The inner body follows the blank line after the inner HTTP headers
+        const afterStatus = part.slice(statusMatch.index);
+        const bodyStart = afterStatus.search(/\r?\n\r?\n/);
+        const raw = bodyStart === -1 ? '' : afterStatus.slice(bodyStart).trim();
+
+        let body = null;
+        try {
+            body = raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            body = raw;
+        }
+        results[Number(idMatch[1])] = { status: Number(statusMatch[1]), body };
+    }
+
+    return results.map(result => result || { status: 500, body: 'Missing batch response item' });
+}
+
+/**
+ * Sends one batch request (up to CALENDAR_BATCH_SIZE calls).
+ * @returns {Promise<Array>} [{ status, body }] in request order; a failed batch marks all its items failed (status 0)
+ */
+async function sendBatch(requests) {
+    const calendarPath = `${new URL(CALENDAR_API_URL).pathname}/calendars/${encodeURIComponent(GOOGLE_CALENDAR_ID)}`;
+    const boundary = `batch_jls_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+
+    const body = requests.map((req, index) => {
+        const lines = [
+            `--${boundary}`,
+            'Content-Type: application/http',
+            `Content-ID: <item${index}>`,
+            '',
+            `${req.method} ${calendarPath}${req.endpoint}`
+        ];
+        if (req.body) {
+            lines.push('Content-Type: application/json', '', JSON.stringify(req.body));
+        } else {
+            lines.push('');
+        }
+        return lines.join('\r\n') + '\r\n';
+    }).join('') + `--${boundary}--`;
+
+    try {
+        const response = await authorizedFetch(CALENDAR_BATCH_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': `multipart/mixed; boundary=${boundary}` },
+            body
+        });
+
+        if (!response.ok) {
+            const error = await response.text();
+            throw new Error(`Calendar batch error: ${response.status} - ${error}`);
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        const responseBoundary = (contentType.match(/boundary=([^;]+)/) || [])[1];
+        return parseBatchResponse(await response.text(), responseBoundary, requests.length);
+    } catch (error) {
+        console.error('Calendar batch error:', error.message);
+        return requests.map(() => ({ status: 0, body: error.message }));
+    }
+}
+
+/**
+ * Sends many Calendar API calls as batch requests (50 per HTTP round trip).
+ * Calls that come back rate-limited or failed (429/5xx) inside an otherwise
+ * successful batch are sent again, in a smaller batch, with the same backoff
+ * as single requests.
+ * @param {Array} requests - [{ method, endpoint, body }] with endpoints relative to the calendar
+ * @returns {Promise<Array>} [{ status, body }] in request order; a failed batch marks all its items failed
+ */
+async function calendarBatch(requests) {
+    const results = [];
+
+    for (let offset = 0; offset < requests.length; offset += CALENDAR_BATCH_SIZE) {
+        const chunk = requests.slice(offset, offset + CALENDAR_BATCH_SIZE);
+        const chunkResults = await sendBatch(chunk);
+
+        for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+            const retry = chunkResults
+                .map((result, index) => (isRetryable(result.status) ? index : -1))
+                .filter(index => index !== -1);
+            if (retry.length === 0) break;
+
+            console.warn(`Google batch: ${retry.length} call(s) failed, retrying (attempt ${attempt + 1} of ${MAX_RETRIES})`);
+            await sleep(retryDelay(null, attempt));
+            const retried = await sendBatch(retry.map(index => chunk[index]));
+            retry.forEach((index, i) => {
+                chunkResults[index] = retried[i];
+            });
+        }
+
+        results.push(...chunkResults);
+    }
+
+    return results;
+}
+
+module.exports = {
+    GOOGLE_CALENDAR_ID,
+    isCalendarConfigured,
+    getAccessToken,
+    calendarRequest,
+    calendarBatch
+};
@@ -0,0 +1,16 @@
+-- Quote Intake Setup for JLS Lawn Maintenance
+-- Run this in Supabase SQL Editor (contacts database) to support the public
+-- POST /api/quote-requests endpoint's per-IP rate limit and duplicate check
+
+-- HMAC of the submitter's IP (never the raw address), for rate limiting
+ALTER TABLE public.quote_requests ADD COLUMN IF NOT EXISTS submitter_ip_hash text;
+
+-- Index for counting one IP's recent requests
+CREATE INDEX IF NOT EXISTS quote_requests_ip_idx ON public.quote_requests(submitter_ip_hash, created_at DESC);
+
+-- Index for spotting the same phone asking for the same service again
+CREATE INDEX IF NOT EXISTS quote_requests_phone_idx ON public.quote_requests(phone, service, created_at DESC);
+
+-- Once the website form posts to /api/quote-requests, close the direct
+-- route into the table (left from quote_requests_lockdown_setup.sql):
+-- DROP POLICY IF EXISTS "Website form can submit quote requests" ON public.quote_requests;
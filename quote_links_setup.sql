@@ -0,0 +1,10 @@
+-- Quote Links Setup for JLS Lawn Maintenance
+-- Run this in Supabase SQL Editor (jobs database) to link each job to the
+-- website quote request it came from
+
+-- quote_requests lives in the contacts database, so this can't be a foreign key
+ALTER TABLE public.jobs ADD COLUMN IF NOT EXISTS quote_request_id bigint;
+
+-- Index for listing the jobs a quote turned into
+CREATE INDEX IF NOT EXISTS jobs_quote_request_id_idx ON public.jobs(quote_request_id)
+  WHERE quote_request_id IS NOT NULL;
@@ -0,0 +1,50 @@
+-- Quote Notifications Setup for JLS Lawn Maintenance
+-- Run this in Supabase SQL Editor (contacts database, after quote_requests_lockdown_setup.sql)
+-- so the app hears about new quote requests over Realtime without reading the leads themselves
+
+-- One row per new request, holding its id and nothing else
+CREATE TABLE IF NOT EXISTS public.quote_notifications (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  quote_id bigint NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- The app subscribes with the anon key; Realtime only delivers rows it may select
+ALTER TABLE public.quote_notifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "App can watch for new quote requests" ON public.quote_notifications;
+CREATE POLICY "App can watch for new quote requests"
+ON public.quote_notifications
+AS PERMISSIVE
+FOR SELECT
+TO anon
+USING (true);
+
+-- Written by the database itself, whichever route the request came in by
+CREATE OR REPLACE FUNCTION public.notify_new_quote_request()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO public.quote_notifications (quote_id) VALUES (NEW.id);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS quote_requests_notify ON public.quote_requests;
+CREATE TRIGGER quote_requests_notify
+AFTER INSERT ON public.quote_requests
+FOR EACH ROW EXECUTE FUNCTION public.notify_new_quote_request();
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'quote_notifications'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.quote_notifications;
+  END IF;
+END;
+$$;
@@ -0,0 +1,15 @@
+-- Quote Requests Lockdown Setup for JLS Lawn Maintenance
+-- Run this in Supabase SQL Editor (contacts database, after quote_requests_setup.sql)
+-- so only the quotes Netlify function (service key) can read or change leads
+
+-- The original policy let anyone holding the anon key read, edit or delete every lead
+DROP POLICY IF EXISTS "Enable all access for all users" ON public.quote_requests;
+
+-- The website's quote form still submits with the anon key: allow new leads only
+DROP POLICY IF EXISTS "Website form can submit quote requests" ON public.quote_requests;
+CREATE POLICY "Website form can submit quote requests"
+ON public.quote_requests
+AS PERMISSIVE
+FOR INSERT
+TO anon
+WITH CHECK (status = 'new');
@@ -0,0 +1,356 @@
+/**
+ * JLS Lawn Maintenance - Recurrence Rules
+ * Parses, builds and expands RFC 5545 RRULEs for recurring jobs.
+ *
+ * Shared by the browser (window.Recurrence) and the Netlify functions
+ * (require('../../recurrence')). Times are naive local "YYYY-MM-DDTHH:mm"
+ * strings, the same as jobs.start_time, so expansion never crosses a DST shift.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Recurrence = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ============================================================
+    // Constants
+    // ============================================================
+
+    const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+    // RFC 5545 weekday codes, indexed like Date#getUTCDay()
+    const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+    // Upper bound on jobs one rule may create in advance
+    const MAX_OCCURRENCES = 104;
+
+    // Periods to scan before giving up on a rule that never matches (e.g. BYMONTHDAY=31 every 12 months from April)
+    const MAX_PERIODS = 1000;
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // ============================================================
+    // Date Helpers
+    // ============================================================
+
+    /**
+     * Splits "YYYY-MM-DDTHH:mm[:ss]" into a UTC-midnight day number and the time part.
+     * Working in whole UTC days keeps the arithmetic free of DST and timezone offsets.
+     */
+    function splitLocal(dateTime) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}:\d{2}))?/.exec(dateTime || '');
+        if (!match) return null;
+        return {
+            day: Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) / DAY_MS,
+            time: match[4] || '00:00'
+        };
+    }
+
+    function dayToDate(day) {
+        return new Date(day * DAY_MS);
+    }
+
+    function formatDay(day) {
+        return dayToDate(day).toISOString().slice(0, 10);
+    }
+
+    function monthDay(year, month, dayOfMonth) {
+        return Date.UTC(year, month, dayOfMonth) / DAY_MS;
+    }
+
+    function daysInMonth(year, month) {
+        return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    }
+
+    /**
+     * Day number of the nth weekday in a month (n = -1 for the last), or null if there is none.
+     */
+    function nthWeekdayOfMonth(year, month, weekday, n) {
+        const length = daysInMonth(year, month);
+        if (n > 0) {
+            const firstWeekday = dayToDate(monthDay(year, month, 1)).getUTCDay();
+            const date = 1 + ((weekday - firstWeekday + 7) % 7) + (n - 1) * 7;
+            return date <= length ? monthDay(year, month, date) : null;
+        }
+        const lastWeekday = dayToDate(monthDay(year, month, length)).getUTCDay();
+        const date = length - ((lastWeekday - weekday + 7) % 7) + (n + 1) * 7;
+        return date >= 1 ? monthDay(year, month, date) : null;
+    }
+
+    // ============================================================
+    // Parsing & Building
+    // ============================================================
+
+    /**
+     * Parses an RRULE string (with or without the "RRULE:" prefix).
+     * @param {string} rule - e.g. "RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU;UNTIL=20261031T235959"
+     * @returns {Object} { freq, interval, byDay: [{ weekday, n }], byMonthDay, count, until }
+     * @throws {Error} When the rule is malformed or uses parts this module does not support
+     */
+    function parse(rule) {
+        if (typeof rule !== 'string' || !rule.trim()) {
+            throw new Error('Recurrence rule is empty');
+        }
+
+        const parsed = { freq: null, interval: 1, byDay: [], byMonthDay: null, count: null, until: null };
+        const body = rule.trim().replace(/^RRULE:/i, '');
+
+        body.split(';').forEach(part => {
+            const [name, value] = part.split('=');
+            if (!value) throw new Error(`Malformed rule part "${part}"`);
+
+            switch (name.toUpperCase()) {
+                case 'FREQ':
+                    if (!FREQUENCIES.includes(value.toUpperCase())) {
+                        throw new Error(`FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+                    }
+                    parsed.freq = value.toUpperCase();
+                    break;
+                case 'INTERVAL':
+                    parsed.interval = Number(value);
+                    if (!Number.isInteger(parsed.interval) || parsed.interval < 1) {
+                        throw new Error('INTERVAL must be a positive whole number');
+                    }
+                    break;
+                case 'BYDAY':
+                    parsed.byDay = value.split(',').map(token => {
+                        const dayMatch = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/i.exec(token);
+                        if (!dayMatch) throw new Error(`Invalid BYDAY value "${token}"`);
+                        const n = dayMatch[1] ? Number(dayMatch[1]) : null;
+                        if (n !== null && (n === 0 || n < -5 || n > 5)) {
+                            throw new Error(`Invalid BYDAY position "${token}"`);
+                        }
+                        return { weekday: WEEKDAYS.indexOf(dayMatch[2].toUpperCase()), n };
+                    });
+                    break;
+                case 'BYMONTHDAY':
+                    parsed.byMonthDay = Number(value);
+                    if (!Number.isInteger(parsed.byMonthDay) || parsed.byMonthDay === 0 ||
+                        parsed.byMonthDay < -31 || parsed.byMonthDay > 31) {
+                        throw new Error('BYMONTHDAY must be a single day between 1 and 31 (or -1 for the last day)');
+                    }
+                    break;
+                case 'COUNT':
+                    parsed.count = Number(value);
+                    if (!Number.isInteger(parsed.count) || parsed.count < 1) {
+                        throw new Error('COUNT must be a positive whole number');
+                    }
+                    break;
+                case 'UNTIL': {
+                    const untilMatch = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+                    if (!untilMatch) throw new Error('UNTIL must be a date like 20261031 or 20261031T235959');
+                    const [, y, m, d, hh = '23', mm = '59'] = untilMatch;
+                    parsed.until = `${y}-${m}-${d}T${hh}:${mm}`;
+                    break;
+                }
+                case 'WKST':
+                    if (value.toUpperCase() !== 'MO') throw new Error('Only WKST=MO is supported');
+                    break;
+                default:
+                    throw new Error(`Unsupported rule part ${name}`);
+            }
+        });
+
+        if (!parsed.freq) throw new Error('FREQ is required');
+        if (parsed.count && parsed.until) throw new Error('COUNT and UNTIL cannot both be set');
+        if (parsed.freq === 'DAILY' && (parsed.byDay.length > 0 || parsed.byMonthDay !== null)) {
+            throw new Error('DAILY rules do not support BYDAY or BYMONTHDAY');
+        }
+        if (parsed.freq === 'WEEKLY') {
+            if (parsed.byMonthDay !== null) throw new Error('WEEKLY rules do not support BYMONTHDAY');
+            if (parsed.byDay.some(day => day.n !== null)) throw new Error('WEEKLY BYDAY values cannot have a position');
+        }
+        if (parsed.freq === 'MONTHLY') {
+            if (parsed.byDay.length > 1 || (parsed.byDay.length === 1 && parsed.byDay[0].n === null)) {
+                throw new Error('MONTHLY BYDAY must be one day with a position, like 2TU or -1FR');
+            }
+            if (parsed.byDay.length === 1 && parsed.byMonthDay !== null) {
+                throw new Error('MONTHLY rules take BYDAY or BYMONTHDAY, not both');
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Builds an RRULE string from its parts.
+     * @param {Object} options - { freq, interval, byDay: ['TU'] or [{ weekday, n }], byMonthDay, count, until: 'YYYY-MM-DD' }
+     * @returns {string} e.g. "RRULE:FREQ=MONTHLY;BYDAY=2TU;COUNT=6"
+     */
+    function build(options) {
+        const parts = [`FREQ=${options.freq}`];
+
+        if (options.interval && options.interval > 1) parts.push(`INTERVAL=${options.interval}`);
+
+        if (options.byDay && options.byDay.length > 0) {
+            const days = options.byDay.map(day => typeof day === 'string'
+                ? day
+                : `${day.n || ''}${WEEKDAYS[day.weekday]}`);
+            parts.push(`BYDAY=${days.join(',')}`);
+        }
+
+        if (options.byMonthDay) parts.push(`BYMONTHDAY=${options.byMonthDay}`);
+
+        if (options.count) {
+            parts.push(`COUNT=${options.count}`);
+        } else if (options.until) {
+            // Floating local time, inclusive of the whole end day
+            const [datePart, timePart = '23:59'] = options.until.split('T');
+            parts.push(`UNTIL=${datePart.replace(/-/g, '')}T${timePart.replace(':', '')}${timePart.length === 5 ? '59' : ''}`);
+        }
+
+        const rule = `RRULE:${parts.join(';')}`;
+        parse(rule); // Reject combinations expand() would not understand
+        return rule;
+    }
+
+    /**
+     * True when the rule parses.
+     */
+    function isValid(rule) {
+        try {
+            parse(rule);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Converts the JSON patterns saved before RRULE support ({ frequency, interval }).
+     * @returns {string|null} Equivalent RRULE, or null if the pattern is not a legacy one
+     */
+    function fromLegacyPattern(pattern) {
+        let legacy;
+        try {
+            legacy = typeof pattern === 'string' ? JSON.parse(pattern) : pattern;
+        } catch (error) {
+            return null;
+        }
+        if (!legacy || typeof legacy !== 'object') return null;
+
+        if (legacy.frequency === 'weekly') return 'RRULE:FREQ=WEEKLY';
+        if (legacy.frequency === 'biweekly') return 'RRULE:FREQ=WEEKLY;INTERVAL=2';
+        if (legacy.frequency === 'monthly') return 'RRULE:FREQ=MONTHLY';
+        return null;
+    }
+
+    // ============================================================
+    // Expansion
+    // ============================================================
+
+    /**
+     * Days of one period (week or month) that match the rule, in order.
+     */
+    function periodDays(parsed, startDay, period) {
+        const start = dayToDate(startDay);
+
+        if (parsed.freq === 'DAILY') {
+            return [startDay + period * parsed.interval];
+        }
+
+        if (parsed.freq === 'WEEKLY') {
+            // Weeks run Monday to Sunday (WKST=MO)
+            const weekStart = startDay - ((start.getUTCDay() + 6) % 7) + period * parsed.interval * 7;
+            const weekdays = parsed.byDay.length > 0
+                ? parsed.byDay.map(day => day.weekday)
+                : [start.getUTCDay()];
+            return [...new Set(weekdays)]
+                .map(weekday => weekStart + ((weekday + 6) % 7))
+                .sort((a, b) => a - b);
+        }
+
+        // MONTHLY
+        const monthIndex = start.getUTCMonth() + period * parsed.interval;
+        const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+        const month = ((monthIndex % 12) + 12) % 12;
+
+        if (parsed.byDay.length === 1) {
+            const day = nthWeekdayOfMonth(year, month, parsed.byDay[0].weekday, parsed.byDay[0].n);
+            return day === null ? [] : [day];
+        }
+
+        // A month without the requested date is skipped, as RFC 5545 requires
+        const requested = parsed.byMonthDay || start.getUTCDate();
+        const length = daysInMonth(year, month);
+        const date = requested > 0 ? requested : length + requested + 1;
+        return date >= 1 && date <= length ? [monthDay(year, month, date)] : [];
+    }
+
+    /**
+     * Expands a rule into occurrence start times.
+     * The first occurrence is the first matching time on or after `start`.
+     * @param {string} rule - RRULE string
+     * @param {string} start - Series start, "YYYY-MM-DDTHH:mm"
+     * @param {Object} [options] - { limit: max occurrences (defaults to MAX_OCCURRENCES) }
+     * @returns {string[]} "YYYY-MM-DDTHH:mm" start times, in order
+     */
+    function expand(rule, start, options = {}) {
+        const parsed = parse(rule);
+        const begin = splitLocal(start);
+        if (!begin) throw new Error('Start must be a datetime like 2026-01-08T10:00');
+
+        const limit = Math.min(options.limit || MAX_OCCURRENCES, parsed.count || MAX_OCCURRENCES);
+        const until = parsed.until;
+        const occurrences = [];
+
+        for (let period = 0; period < MAX_PERIODS && occurrences.length < limit; period++) {
+            for (const day of periodDays(parsed, begin.day, period)) {
+                if (day < begin.day) continue;
+
+                const occurrence = `${formatDay(day)}T${begin.time}`;
+                if (until && occurrence > until) return occurrences;
+
+                occurrences.push(occurrence);
+                if (occurrences.length >= limit) break;
+            }
+        }
+
+        return occurrences;
+    }
+
+    // ============================================================
+    // Describing
+    // ============================================================
+
+    const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const POSITION_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+    const UNIT_NAMES = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' };
+
+    /**
+     * Plain-English summary of a rule, e.g. "Every 2 weeks on Tuesday, until 2026-10-31".
+     */
+    function describe(rule) {
+        const parsed = parse(rule);
+        const unit = UNIT_NAMES[parsed.freq];
+        let text = parsed.interval > 1 ? `Every ${parsed.interval} ${unit}s` : `Every ${unit}`;
+
+        if (parsed.freq === 'WEEKLY' && parsed.byDay.length > 0) {
+            text += ` on ${parsed.byDay.map(day => WEEKDAY_NAMES[day.weekday]).join(', ')}`;
+        } else if (parsed.freq === 'MONTHLY' && parsed.byDay.length === 1) {
+            const { weekday, n } = parsed.byDay[0];
+            text += ` on the ${POSITION_NAMES[n] || `${n}th`} ${WEEKDAY_NAMES[weekday]}`;
+        } else if (parsed.freq === 'MONTHLY' && parsed.byMonthDay) {
+            text += parsed.byMonthDay === -1 ? ' on the last day' : ` on day ${parsed.byMonthDay}`;
+        }
+
+        if (parsed.count) text += `, ${parsed.count} times`;
+        if (parsed.until) text += `, until ${parsed.until.slice(0, 10)}`;
+        return text;
+    }
+
+    return {
+        FREQUENCIES,
+        WEEKDAYS,
+        MAX_OCCURRENCES,
+        parse,
+        build,
+        isValid,
+        fromLegacyPattern,
+        expand,
+        describe
+    };
+});
@@ -0,0 +1,48 @@
+// DELETE /api/tokens/:id - revoking API tokens
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTestEnv, sessionCookie, fakeSupabase } = require('./helpers');
+
+setTestEnv();
+const { handler } = require('../netlify/functions/api-tokens');
+
+const TOKEN_ID = '6f1c2a9e-3b4d-4e5f-8a7b-9c0d1e2f3a4b';
+
+function revoke(tokenId) {
+    return handler({
+        httpMethod: 'DELETE',
+        path: `/api/tokens/${tokenId}`,
+        headers: { cookie: sessionCookie('owner', { bootstrap: true }) }
+    });
+}
+
+test('revokes a token by id', async () => {
+    const supabase = fakeSupabase({ api_tokens: [{ id: TOKEN_ID, name: 'Zapier', revoked_at: null }] });
+    global.fetch = supabase.fetch;
+
+    const response = await revoke(TOKEN_ID);
+
+    assert.equal(response.statusCode, 200);
+    assert.ok(supabase.db.api_tokens[0].revoked_at);
+});
+
+test('an id that is not a UUID is a 400, without asking the database', async () => {
+    const supabase = fakeSupabase();
+    global.fetch = supabase.fetch;
+
+    const response = await revoke('not-a-token');
+
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(JSON.parse(response.body).fields.map(field => field.field), ['id']);
+    assert.deepEqual(supabase.requests, []);
+});
+
+test('an unknown or already revoked token is a 404', async () => {
+    global.fetch = fakeSupabase({
+        api_tokens: [{ id: TOKEN_ID, name: 'Zapier', revoked_at: '2026-05-01T00:00:00.000Z' }]
+    }).fetch;
+
+    assert.equal((await revoke(TOKEN_ID)).statusCode, 404);
+    assert.equal((await revoke('00000000-0000-4000-8000-000000000000')).statusCode, 404);
+});
@@ -0,0 +1,32 @@
+// netlify/lib/auth.js: verifySessionToken applies the same rules as the auth edge function
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { setTestEnv, sessionCookie } = require('./helpers');
+
+setTestEnv();
+const { verifySessionToken } = require('../netlify/lib/auth');
+
+// Signs arbitrary claims with the test secret
+function sign(claims) {
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto.createHmac('sha256', process.env.AUTH_SECRET).update(payload).digest('base64url');
+    return `${payload}.${signature}`;
+}
+
+const now = Math.floor(Date.now() / 1000);
+
+test('accepts a session signed by the edge function', () => {
+    const token = sessionCookie('sam').replace('jls_auth=', '');
+
+    assert.equal(verifySessionToken(token).sub, 'sam');
+});
+
+test('rejects a session without an issue time, or issued in the future', () => {
+    const claims = { v: '1', sub: 'sam', bootstrap: false, exp: now + 3600 };
+
+    assert.equal(verifySessionToken(sign(claims)), null);
+    assert.equal(verifySessionToken(sign({ ...claims, iat: now + 3600 })), null);
+    assert.ok(verifySessionToken(sign({ ...claims, iat: now + 30 })));
+});
@@ -0,0 +1,44 @@
+// netlify/lib/calendar-event.js: the one job -> Google Calendar event builder
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+delete process.env.BUSINESS_TIMEZONE;
+const { withTypeDefaults, jobToCalendarEvent } = require('../netlify/lib/calendar-event');
+
+test('fills in duration and arrival window from the job type', () => {
+    assert.deepEqual(withTypeDefaults({ job_type: 'hedge' }), {
+        job_type: 'hedge', duration_minutes: 180, arrival_window_minutes: 60
+    });
+    assert.equal(withTypeDefaults({ job_type: 'quote', duration_minutes: 45 }).duration_minutes, 45);
+    assert.equal(withTypeDefaults({ job_type: 'unknown' }).duration_minutes, 60);
+});
+
+test('builds a plain title, the tracker description and the job length', () => {
+    const calendarEvent = jobToCalendarEvent({
+        title: 'Smith - Hedge Trimming',
+        start_time: '2026-05-04T09:00',
+        job_type: 'hedge',
+        price: 120,
+        status: 'pending',
+        address: '12 Elm St'
+    });
+
+    assert.equal(calendarEvent.summary, 'Smith - Hedge Trimming');
+    assert.equal(calendarEvent.description, 'JLS Lawn Maintenance Job\n\nType: hedge\nPrice: $120\nStatus: pending\n');
+    assert.equal(calendarEvent.location, '12 Elm St');
+    assert.equal(calendarEvent.start.dateTime, '2026-05-04T09:00:00-04:00');
+    assert.equal(calendarEvent.end.dateTime, '2026-05-04T12:00:00-04:00');
+    assert.equal(calendarEvent.colorId, '6');
+    assert.equal(calendarEvent.status, undefined);
+});
+
+test('series occurrences carry a status, so a cancelled one is skipped', () => {
+    const occurrence = { title: 'Smith - Mowing', start_time: '2026-05-04T09:00', job_type: 'mowing', google_series_event_id: 'series1' };
+
+    assert.equal(jobToCalendarEvent({ ...occurrence, status: 'pending' }).status, 'confirmed');
+
+    const cancelled = jobToCalendarEvent({ ...occurrence, status: 'cancelled', cancel_reason: 'client_request' });
+    assert.equal(cancelled.status, 'cancelled');
+    assert.match(cancelled.description, /Cancel reason: client request/);
+});
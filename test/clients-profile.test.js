@@ -0,0 +1,66 @@
+// GET /api/clients/:id/profile: open quote requests come from the contacts database
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTestEnv, sessionCookie, fakeSupabase } = require('./helpers');
+
+const CONTACTS_URL = 'https://contacts.supabase.test';
+setTestEnv({ CONTACTS_SUPABASE_URL: CONTACTS_URL, CONTACTS_SUPABASE_SERVICE_KEY: 'contacts-key' });
+const { handler } = require('../netlify/functions/clients');
+
+const client = { id: '5', name: 'Pat Smith', phones: ['(555) 123-4567'], emails: ['pat@example.com'] };
+
+function quote(id, fields) {
+    return { id, created_at: `2026-05-0${id}T12:00:00.000Z`, name: 'Pat', service: 'mowing', status: 'new', ...fields };
+}
+
+async function loadProfile({ contactsDown = false } = {}) {
+    const jobs = fakeSupabase({
+        clients: [client],
+        jobs: [
+            { id: '1', client_id: '5', title: 'Pat - Quote', job_type: 'quote', start_time: '2026-05-02T09:00', quote_request_id: 4 }
+        ]
+    });
+    const contacts = fakeSupabase({
+        quote_requests: [
+            quote(1, { email: 'PAT@example.com' }),
+            quote(2, { phone: '+1 555.123.4567', status: 'contacted' }),
+            quote(3, { email: 'pat@example.com', status: 'converted' }),
+            quote(4, { email: 'other@example.com' }),
+            quote(5, { email: 'someone@example.com', phone: '555-999-0000' })
+        ]
+    });
+    global.fetch = async (url, options) => {
+        if (!url.startsWith(CONTACTS_URL)) return jobs.fetch(url, options);
+        if (contactsDown) return new Response('unavailable', { status: 503 });
+        return contacts.fetch(url.replace(CONTACTS_URL, 'https://jobs.supabase.test'), options);
+    };
+
+    const response = await handler({
+        httpMethod: 'GET',
+        path: '/api/clients/5/profile',
+        headers: { cookie: sessionCookie('owner', { bootstrap: true }) }
+    });
+    assert.equal(response.statusCode, 200);
+    return JSON.parse(response.body);
+}
+
+test('counts open requests by email, phone or a linked site visit', async () => {
+    const profile = await loadProfile();
+
+    // 3 is already converted; 5 is someone else's
+    assert.deepEqual(profile.quotes.map(q => q.id).sort(), [1, 2, 4]);
+    assert.equal(profile.jobs.length, 1);
+});
+
+test('still loads the profile when the contacts database is down', async () => {
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        const profile = await loadProfile({ contactsDown: true });
+        assert.equal(profile.quotes, null);
+        assert.equal(profile.client.name, 'Pat Smith');
+    } finally {
+        console.error = originalError;
+    }
+});
@@ -0,0 +1,90 @@
+// netlify/lib/datetime.js in the default business timezone (America/New_York)
+// 2026 clocks spring forward on March 8 (02:00 -> 03:00) and fall back on November 1 (02:00 -> 01:00).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+delete process.env.BUSINESS_TIMEZONE;
+const {
+    BUSINESS_TIMEZONE,
+    resolveTimezone,
+    toLocalDateTime,
+    fromLocalDateTime,
+    addMinutes,
+    toOffsetDateTime,
+    calendarEventTimes
+} = require('../netlify/lib/datetime');
+
+test('defaults to the New York timezone and ignores unknown zones', () => {
+    assert.equal(BUSINESS_TIMEZONE, 'America/New_York');
+    assert.equal(resolveTimezone('America/Chicago'), 'America/Chicago');
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        assert.equal(resolveTimezone('Mars/Olympus_Mons'), 'America/New_York');
+    } finally {
+        console.error = originalError;
+    }
+});
+
+test('converts between local times and instants in winter and summer', () => {
+    assert.equal(fromLocalDateTime('2026-01-08T10:00').toISOString(), '2026-01-08T15:00:00.000Z');
+    assert.equal(fromLocalDateTime('2026-07-08T10:00').toISOString(), '2026-07-08T14:00:00.000Z');
+    assert.equal(toLocalDateTime('2026-01-08T15:00:00Z'), '2026-01-08T10:00');
+    assert.equal(toLocalDateTime(new Date('2026-07-08T14:00:00Z')), '2026-07-08T10:00');
+});
+
+test('reads a bare date as local midnight and rejects anything else', () => {
+    assert.equal(fromLocalDateTime('2026-01-08').toISOString(), '2026-01-08T05:00:00.000Z');
+    assert.throws(() => fromLocalDateTime('next tuesday'), /Invalid local datetime/);
+    assert.throws(() => fromLocalDateTime(null), /Invalid local datetime/);
+});
+
+test('a time skipped when clocks spring forward moves past the gap', () => {
+    assert.equal(fromLocalDateTime('2026-03-08T02:30').toISOString(), '2026-03-08T07:30:00.000Z');
+    assert.equal(toLocalDateTime(fromLocalDateTime('2026-03-08T02:30')), '2026-03-08T03:30');
+    assert.equal(toOffsetDateTime('2026-03-08T01:30'), '2026-03-08T01:30:00-05:00');
+    assert.equal(toOffsetDateTime('2026-03-08T03:30'), '2026-03-08T03:30:00-04:00');
+});
+
+test('a time repeated when clocks fall back resolves to the first (daylight) one', () => {
+    assert.equal(fromLocalDateTime('2026-11-01T01:30').toISOString(), '2026-11-01T05:30:00.000Z');
+    assert.equal(toOffsetDateTime('2026-11-01T01:30'), '2026-11-01T01:30:00-04:00');
+    // The second 01:30 is an hour later in real time but reads the same on the wall
+    assert.equal(toLocalDateTime('2026-11-01T06:30:00Z'), '2026-11-01T01:30');
+});
+
+test('adds real elapsed minutes across DST changes', () => {
+    assert.equal(addMinutes('2026-03-08T00:30', 180), '2026-03-08T04:30');
+    assert.equal(addMinutes('2026-11-01T00:30', 180), '2026-11-01T02:30');
+    assert.equal(addMinutes('2026-06-01T09:00', 45), '2026-06-01T09:45');
+});
+
+test('calendarEventTimes gives offset start/end in the business timezone', () => {
+    assert.deepEqual(calendarEventTimes('2026-01-08T10:00', 60), {
+        start: { dateTime: '2026-01-08T10:00:00-05:00', timeZone: 'America/New_York' },
+        end: { dateTime: '2026-01-08T11:00:00-05:00', timeZone: 'America/New_York' }
+    });
+    // Seconds or a stored offset past the minutes are ignored
+    assert.equal(calendarEventTimes('2026-07-08T10:00:00', 30).end.dateTime, '2026-07-08T10:30:00-04:00');
+});
+
+test('late-evening jobs roll past midnight into the next day', () => {
+    const { start, end } = calendarEventTimes('2026-06-30T23:30', 90);
+    assert.equal(start.dateTime, '2026-06-30T23:30:00-04:00');
+    assert.equal(end.dateTime, '2026-07-01T01:00:00-04:00');
+
+    // ...and into the next year
+    assert.equal(calendarEventTimes('2026-12-31T23:00', 120).end.dateTime, '2027-01-01T01:00:00-05:00');
+});
+
+test('jobs spanning a DST change keep their true length', () => {
+    const spring = calendarEventTimes('2026-03-08T01:00', 120);
+    assert.equal(spring.start.dateTime, '2026-03-08T01:00:00-05:00');
+    assert.equal(spring.end.dateTime, '2026-03-08T04:00:00-04:00');
+
+    const fall = calendarEventTimes('2026-10-31T23:30', 180);
+    assert.equal(fall.end.dateTime, '2026-11-01T01:30:00-05:00');
+    assert.equal(new Date(fall.end.dateTime) - new Date(fall.start.dateTime), 180 * 60 * 1000);
+});
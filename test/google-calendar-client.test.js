@@ -0,0 +1,61 @@
+// netlify/lib/google-calendar-client.js: batch requests
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setCalendarTestEnv, jsonResponse, batchResponse } = require('./helpers');
+
+setCalendarTestEnv();
+const { calendarBatch } = require('../netlify/lib/google-calendar-client');
+
+const BATCH_URL = 'https://calendar.google.test/batch/calendar/v3';
+
+// Stubs Google: each batch call gets the next response from `replies`, called with the request lines it carried
+function stubBatches(replies) {
+    const batches = [];
+    global.fetch = async (url, options) => {
+        if (url !== BATCH_URL) return jsonResponse(200, { access_token: 'test-token', expires_in: 3600 });
+        const lines = options.body.match(/^(GET|POST|PUT|PATCH|DELETE) \S+/gm);
+        batches.push(lines);
+        return replies[batches.length - 1](lines);
+    };
+    return batches;
+}
+
+const requests = ['a', 'b', 'c'].map(id => ({ method: 'PUT', endpoint: `/events/${id}`, body: { summary: id } }));
+
+test('calls that fail inside a batch are retried on their own', async () => {
+    const batches = stubBatches([
+        () => batchResponse([[200, { id: 'a' }], [503, { error: { message: 'Backend Error' } }], [429, { error: { message: 'Rate Limit Exceeded' } }]]),
+        () => batchResponse([[200, { id: 'b' }], [200, { id: 'c' }]])
+    ]);
+
+    const results = await calendarBatch(requests);
+
+    assert.deepEqual(results.map(result => [result.status, result.body.id]), [[200, 'a'], [200, 'b'], [200, 'c']]);
+    assert.equal(batches.length, 2);
+    assert.deepEqual(batches[1].map(line => line.split('/').pop()), ['b', 'c']);
+});
+
+test('client errors are returned, not retried', async () => {
+    const batches = stubBatches([
+        () => batchResponse([[200, { id: 'a' }], [404, { error: { message: 'Not Found' } }], [200, { id: 'c' }]])
+    ]);
+
+    const results = await calendarBatch(requests);
+
+    assert.deepEqual(results.map(result => result.status), [200, 404, 200]);
+    assert.equal(batches.length, 1);
+});
+
+test('a call that keeps failing is reported once retries run out', { timeout: 30000 }, async () => {
+    const failing = lines => batchResponse(lines.map(() => [500, { error: { message: 'Backend Error' } }]));
+    const batches = stubBatches([
+        () => batchResponse([[200, { id: 'a' }], [500, { error: { message: 'Backend Error' } }], [200, { id: 'c' }]]),
+        failing, failing, failing
+    ]);
+
+    const results = await calendarBatch(requests);
+
+    assert.deepEqual(results.map(result => result.status), [200, 500, 200]);
+    assert.equal(batches.length, 4);
+});
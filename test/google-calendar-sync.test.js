@@ -0,0 +1,157 @@
+// POST /api/calendar/sync: pulling Google Calendar edits back into jobs
+// (pullCalendarChanges / applyCalendarChange in netlify/functions/google-calendar.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setCalendarTestEnv, sessionCookie, jsonResponse, fakeSupabase, routeFetch } = require('./helpers');
+
+setCalendarTestEnv();
+const { handler } = require('../netlify/functions/google-calendar');
+
+const LAST_SYNCED_AT = '2026-05-01T12:00:00.000Z';
+
+function syncState(syncToken = 'token-1') {
+    return { calendar_id: 'calendar@example.com', sync_token: syncToken, last_synced_at: LAST_SYNCED_AT };
+}
+
+function linkedJob(overrides = {}) {
+    return {
+        id: '7',
+        title: 'Smith - Mowing',
+        start_time: '2026-05-04T09:00',
+        job_type: 'mowing',
+        status: 'pending',
+        address: '12 Elm St',
+        duration_minutes: 60,
+        google_event_id: 'ev1',
+        updated_at: '2026-04-30T08:00:00.000Z',
+        ...overrides
+    };
+}
+
+/**
+ * Runs a sync against the given jobs and the Google events returned for the stored token.
+ * @returns {Promise<Object>} { response, body, supabase, calls } with calls as "METHOD /path"
+ */
+async function runSync({ jobs, state = syncState(), changed = [], calendar }) {
+    const supabase = fakeSupabase({ jobs, calendar_sync_state: [state] });
+    const calls = [];
+    global.fetch = routeFetch({
+        supabase,
+        calendar: async (method, path, url, options) => {
+            calls.push(`${method} ${path}`);
+            if (calendar) {
+                const response = await calendar(method, path, url, options);
+                if (response) return response;
+            }
+            if (method === 'GET' && path === '/events') {
+                return jsonResponse(200, { items: changed, nextSyncToken: 'token-2' });
+            }
+            return jsonResponse(200, { id: path.split('/').pop() || 'new-event' });
+        }
+    });
+
+    const response = await handler({
+        httpMethod: 'POST',
+        path: '/api/calendar/sync',
+        headers: { cookie: sessionCookie('owner', { bootstrap: true }) },
+        body: ''
+    });
+    return { response, body: JSON.parse(response.body), supabase, calls };
+}
+
+test('a time moved in Google Calendar moves the job', async () => {
+    const { response, body, supabase } = await runSync({
+        jobs: [linkedJob()],
+        changed: [{
+            id: 'ev1',
+            status: 'confirmed',
+            summary: 'Smith - Mowing',
+            location: '12 Elm St',
+            start: { dateTime: '2026-05-05T14:30:00Z' },
+            updated: '2026-05-02T09:00:00.000Z'
+        }]
+    });
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(body.changes.map(change => [change.action, change.changes]), [
+        ['updated', { start_time: '2026-05-05T10:30' }]
+    ]);
+    assert.equal(supabase.db.jobs[0].start_time, '2026-05-05T10:30');
+    assert.equal(supabase.db.calendar_sync_state[0].sync_token, 'token-2');
+});
+
+test('an event deleted in Google Calendar cancels the job', async () => {
+    const { body, supabase } = await runSync({
+        jobs: [linkedJob()],
+        changed: [{ id: 'ev1', status: 'cancelled', updated: '2026-05-02T09:00:00.000Z' }]
+    });
+
+    assert.deepEqual(body.changes.map(change => change.action), ['cancelled']);
+    const [job] = supabase.db.jobs;
+    assert.equal(job.status, 'cancelled');
+    assert.equal(job.cancel_note, 'Deleted in Google Calendar');
+    assert.equal(job.google_event_id, null);
+});
+
+test('a completed job is unlinked, not cancelled, when its event is deleted', async () => {
+    const { body, supabase } = await runSync({
+        jobs: [linkedJob({ status: 'done' })],
+        changed: [{ id: 'ev1', status: 'cancelled', updated: '2026-05-02T09:00:00.000Z' }]
+    });
+
+    assert.deepEqual(body.changes.map(change => change.action), ['unlinked']);
+    assert.equal(supabase.db.jobs[0].status, 'done');
+    assert.equal(supabase.db.jobs[0].google_event_id, null);
+});
+
+test('a newer tracker edit wins and is pushed back to Google', async () => {
+    let pushed = null;
+    const { body, supabase, calls } = await runSync({
+        // Edited in the tracker after the last sync, and after the Google edit
+        jobs: [linkedJob({ updated_at: '2026-05-03T09:00:00.000Z' })],
+        changed: [{
+            id: 'ev1',
+            status: 'confirmed',
+            summary: 'Smith - Mowing',
+            location: '12 Elm St',
+            start: { dateTime: '2026-05-06T13:00:00Z' },
+            updated: '2026-05-02T09:00:00.000Z'
+        }],
+        calendar: async (method, path, url, options) => {
+            if (method === 'PUT') pushed = JSON.parse(options.body);
+        }
+    });
+
+    assert.deepEqual(body.changes.map(change => [change.action, change.reason]), [
+        ['conflict-kept-local', 'Tracker edit is newer']
+    ]);
+    assert.ok(calls.includes('PUT /events/ev1'));
+    assert.equal(pushed.start.dateTime, '2026-05-04T09:00:00-04:00');
+    assert.equal(supabase.db.jobs[0].start_time, '2026-05-04T09:00');
+});
+
+test('an expired sync token (410) starts over with a full listing', async () => {
+    const listings = [];
+    const { response, body, supabase } = await runSync({
+        jobs: [linkedJob()],
+        calendar: async (method, path, url) => {
+            if (method !== 'GET' || path !== '/events') return null;
+            const syncToken = url.searchParams.get('syncToken');
+            listings.push(syncToken);
+            if (syncToken) return jsonResponse(410, { error: { message: 'Sync token is no longer valid' } });
+            // The full listing is a baseline, not a change feed, so this is not applied
+            return jsonResponse(200, {
+                items: [{ id: 'ev1', status: 'cancelled' }],
+                nextSyncToken: 'fresh-token'
+            });
+        }
+    });
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(listings, ['token-1', null]);
+    assert.equal(body.initialized, true);
+    assert.deepEqual(body.changes, []);
+    assert.equal(supabase.db.jobs[0].status, 'pending');
+    assert.equal(supabase.db.calendar_sync_state[0].sync_token, 'fresh-token');
+});
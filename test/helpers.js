@@ -0,0 +1,178 @@
+// Shared helpers for the node:test suites (run with `node --test test/`)
+// Functions read their configuration when they are first required, so each
+// suite sets process.env before requiring the code under test.
+
+const crypto = require('crypto');
+
+const SUPABASE_URL = 'https://jobs.supabase.test';
+const AUTH_SECRET = 'test-secret';
+const CALENDAR_API_URL = 'https://calendar.google.test/calendar/v3';
+const OAUTH_TOKEN_URL = 'https://oauth.google.test/token';
+const CALENDAR_ID = 'calendar@example.com';
+
+function setTestEnv(extra = {}) {
+    Object.assign(process.env, {
+        SUPABASE_URL,
+        SUPABASE_SERVICE_KEY: 'service-key',
+        AUTH_SECRET,
+        AUTH_SECRET_VERSION: '1'
+    }, extra);
+}
+
+/**
+ * Points the Google Calendar client at fake endpoints, with a throwaway service account key.
+ */
+function setCalendarTestEnv() {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    setTestEnv({
+        GOOGLE_CALENDAR_ID: CALENDAR_ID,
+        GOOGLE_CALENDAR_API_URL: CALENDAR_API_URL,
+        GOOGLE_OAUTH_TOKEN_URL: OAUTH_TOKEN_URL,
+        GOOGLE_SERVICE_ACCOUNT_EMAIL: 'sync@example.iam.gserviceaccount.com',
+        GOOGLE_SERVICE_ACCOUNT_PRIVATE_KEY: privateKey.export({ type: 'pkcs8', format: 'pem' })
+    });
+}
+
+/**
+ * Signs a jls_auth session cookie the way the auth edge function does.
+ */
+function sessionCookie(username, { bootstrap = false } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = Buffer.from(JSON.stringify({ v: '1', sub: username, bootstrap, iat: now, exp: now + 3600 }))
+        .toString('base64url');
+    const signature = crypto.createHmac('sha256', AUTH_SECRET).update(payload).digest('base64url');
+    return `jls_auth=${payload}.${signature}`;
+}
+
+function jsonResponse(status, body) {
+    return new Response(status === 204 ? null : JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+/**
+ * A multipart/mixed Google batch response with one part per [status, body].
+ */
+function batchResponse(parts) {
+    const boundary = 'batch_test';
+    const text = parts.map(([status, body], index) => [
+        `--${boundary}`,
+        'Content-Type: application/http',
+        `Content-ID: <response-item${index}>`,
+        '',
+        `HTTP/1.1 ${status} Status`,
+        'Content-Type: application/json',
+        '',
+        JSON.stringify(body),
+        ''
+    ].join('\r\n')).join('') + `--${boundary}--`;
+    return new Response(text, { status: 200, headers: { 'Content-Type': `multipart/mixed; boundary=${boundary}` } });
+}
+
+/**
+ * An in-memory stand-in for the PostgREST endpoints the functions call.
+ * Supports eq./neq./gte./lt./is./in. filters, inserts (ignoring or merging duplicate keys when asked),
+ * PATCH and DELETE. `requests` records every call as "METHOD table".
+ * @param {Object} tables - Initial rows per table; `uniqueKeys` names each table's unique column
+ */
+function fakeSupabase(tables = {}, uniqueKeys = { idempotency_keys: 'key', calendar_sync_state: 'calendar_id' }) {
+    const db = Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, rows.map(row => ({ ...row }))]));
+    const requests = [];
+    let nextId = 1;
+
+    function matches(row, params) {
+        for (const [column, condition] of params) {
+            if (['select', 'order', 'limit', 'offset'].includes(column)) continue;
+            const value = row[column] === undefined || row[column] === null ? null : String(row[column]);
+            if (condition.startsWith('eq.') && value !== condition.slice(3)) return false;
+            if (condition.startsWith('neq.') && value === condition.slice(4)) return false;
+            if (condition.startsWith('gte.') && !(value !== null && value >= condition.slice(4))) return false;
+            if (condition.startsWith('lt.') && !(value !== null && value < condition.slice(3))) return false;
+            if (condition.startsWith('is.') && value !== (condition === 'is.null' ? null : condition.slice(3))) return false;
+            if (condition.startsWith('in.(')) {
+                const list = condition.slice(4, -1).split(',').map(item => item.replace(/^"|"$/g, ''));
+                if (!list.includes(value)) return false;
+            }
+        }
+        return true;
+    }
+
+    async function fetch(url, options = {}) {
+        const { pathname, searchParams } = new URL(url);
+        const table = pathname.replace('/rest/v1/', '');
+        const method = options.method || 'GET';
+        const prefer = (options.headers || {}).Prefer || '';
+        const params = [...searchParams.entries()];
+        const rows = db[table] || (db[table] = []);
+        requests.push(`${method} ${table}`);
+
+        if (method === 'GET') {
+            return jsonResponse(200, rows.filter(row => matches(row, params)));
+        }
+        if (method === 'POST') {
+            const body = JSON.parse(options.body);
+            const unique = uniqueKeys[table];
+            const inserted = [];
+            for (const record of Array.isArray(body) ? body : [body]) {
+                const existing = unique && rows.find(row => row[unique] === record[unique]);
+                if (existing) {
+                    if (prefer.includes('ignore-duplicates')) continue;
+                    if (prefer.includes('merge-duplicates')) {
+                        inserted.push(Object.assign(existing, record));
+                        continue;
+                    }
+                    return jsonResponse(409, { message: 'duplicate key' });
+                }
+                const row = { id: String(nextId++), created_at: new Date().toISOString(), ...record };
+                rows.push(row);
+                inserted.push(row);
+            }
+            return prefer.includes('return=minimal') ? jsonResponse(204) : jsonResponse(201, inserted);
+        }
+        if (method === 'PATCH') {
+            const changes = JSON.parse(options.body);
+            const updated = rows.filter(row => matches(row, params));
+            updated.forEach(row => Object.assign(row, changes));
+            return prefer.includes('return=minimal') ? jsonResponse(204) : jsonResponse(200, updated);
+        }
+        if (method === 'DELETE') {
+            const deleted = rows.filter(row => matches(row, params));
+            db[table] = rows.filter(row => !deleted.includes(row));
+            return prefer.includes('return=minimal') ? jsonResponse(204) : jsonResponse(200, deleted);
+        }
+        return jsonResponse(405, { message: `Unsupported method ${method}` });
+    }
+
+    return { db, requests, fetch };
+}
+
+/**
+ * Sends each request to the fake for its host: Supabase, Google's token
+ * endpoint (always grants a token) or `calendar(method, path, url, options)`
+ * for Calendar API calls, where path is relative to the calendar.
+ */
+function routeFetch({ supabase, calendar }) {
+    return async (url, options = {}) => {
+        if (url.startsWith(SUPABASE_URL)) return supabase.fetch(url, options);
+        if (url.startsWith(OAUTH_TOKEN_URL)) return jsonResponse(200, { access_token: 'test-token', expires_in: 3600 });
+
+        const calendarBase = `${CALENDAR_API_URL}/calendars/${encodeURIComponent(CALENDAR_ID)}`;
+        if (url.startsWith(calendarBase)) {
+            const parsed = new URL(url);
+            const path = parsed.pathname.slice(new URL(calendarBase).pathname.length);
+            return calendar(options.method || 'GET', path, parsed, options);
+        }
+        throw new Error(`Unexpected fetch: ${url}`);
+    };
+}
+
+module.exports = {
+    setTestEnv,
+    setCalendarTestEnv,
+    sessionCookie,
+    jsonResponse,
+    batchResponse,
+    fakeSupabase,
+    routeFetch
+};
@@ -0,0 +1,72 @@
+// What crew accounts may do through /api/jobs
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTestEnv, sessionCookie, fakeSupabase } = require('./helpers');
+
+setTestEnv();
+const { handler } = require('../netlify/functions/jobs');
+const { toLocalDateTime, addMinutes } = require('../netlify/lib/datetime');
+
+const today = toLocalDateTime(new Date()).slice(0, 10);
+
+function crewDatabase() {
+    return fakeSupabase({
+        app_users: [{ username: 'sam', display_name: 'Sam', role: 'crew', active: true }],
+        jobs: [
+            { id: '1', title: 'Today', start_time: `${today}T09:00`, job_type: 'mowing', status: 'pending' },
+            { id: '2', title: 'Tomorrow', start_time: addMinutes(`${today}T09:00`, 24 * 60), job_type: 'mowing', status: 'pending' },
+            { id: '3', title: 'Yesterday', start_time: addMinutes(`${today}T09:00`, -24 * 60), job_type: 'mowing', status: 'pending' }
+        ]
+    });
+}
+
+function markDone(jobId) {
+    return handler({
+        httpMethod: 'PATCH',
+        path: `/api/jobs/done/${jobId}`,
+        headers: { cookie: sessionCookie('sam') }
+    });
+}
+
+test('crew can mark one of today\'s jobs done', async () => {
+    const supabase = crewDatabase();
+    global.fetch = supabase.fetch;
+
+    const response = await markDone('1');
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(supabase.db.jobs[0].status, 'done');
+});
+
+test('crew cannot mark jobs on other days done', async () => {
+    const supabase = crewDatabase();
+    global.fetch = supabase.fetch;
+
+    for (const jobId of ['2', '3']) {
+        const response = await markDone(jobId);
+        assert.equal(response.statusCode, 403);
+    }
+    assert.deepEqual(supabase.db.jobs.map(job => job.status), ['pending', 'pending', 'pending']);
+    assert.equal(supabase.db.job_history, undefined);
+});
+
+test('crew cannot reach owner-only routes', async () => {
+    const supabase = crewDatabase();
+    global.fetch = supabase.fetch;
+    const before = JSON.parse(JSON.stringify(supabase.db));
+
+    const routes = [
+        ['DELETE', '/api/jobs/delete/1'],
+        ['PUT', '/api/jobs/1', JSON.stringify({ title: 'Renamed' })],
+        ['GET', '/api/jobs/1/history'],
+        ['PATCH', '/api/jobs/cancel/1']
+    ];
+    for (const [httpMethod, path, body] of routes) {
+        const response = await handler({ httpMethod, path, body, headers: { cookie: sessionCookie('sam') } });
+        assert.equal(response.statusCode, 403, `${httpMethod} ${path}`);
+        assert.equal(JSON.parse(response.body).error, 'Only owners can do that');
+    }
+
+    assert.deepEqual(supabase.db, before);
+});
@@ -0,0 +1,68 @@
+// PATCH /api/jobs/done/:id - marking a job done updates its Google Calendar event
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setCalendarTestEnv, sessionCookie, fakeSupabase, routeFetch, batchResponse } = require('./helpers');
+
+setCalendarTestEnv();
+const { handler } = require('../netlify/functions/jobs');
+
+const BATCH_URL = 'https://calendar.google.test/batch/calendar/v3';
+
+/**
+ * Marks job 7 done, with Google answering each batched call with `status`.
+ * @returns {Promise<Object>} { response, supabase, pushed } with pushed as the event bodies sent
+ */
+async function markDone(status) {
+    const supabase = fakeSupabase({
+        jobs: [{
+            id: '7',
+            title: 'Smith - Mowing',
+            start_time: '2026-05-04T09:00',
+            job_type: 'mowing',
+            status: 'pending',
+            google_event_id: 'ev1',
+            calendar_sync_status: 'synced'
+        }]
+    });
+    const pushed = [];
+    const route = routeFetch({ supabase, calendar: () => { throw new Error('Expected a batch call'); } });
+    global.fetch = async (url, options) => {
+        if (url !== BATCH_URL) return route(url, options);
+        const bodies = options.body.match(/^\{.*\}$/gm).map(line => JSON.parse(line));
+        pushed.push(...bodies);
+        return batchResponse(bodies.map(() => [status, status < 300 ? { id: 'ev1' } : { error: { message: 'Forbidden' } }]));
+    };
+
+    const response = await handler({
+        httpMethod: 'PATCH',
+        path: '/api/jobs/done/7',
+        headers: { cookie: sessionCookie('owner', { bootstrap: true }) }
+    });
+    return { response, supabase, pushed };
+}
+
+test('pushes the done status to the linked event', async () => {
+    const { response, supabase, pushed } = await markDone(200);
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(pushed.length, 1);
+    assert.match(pushed[0].description, /Status: done/);
+    assert.equal(supabase.db.jobs[0].status, 'done');
+    assert.equal(supabase.db.jobs[0].calendar_sync_status, 'synced');
+});
+
+test('a failed push leaves the job marked done and flagged for retry', async () => {
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        const { response, supabase } = await markDone(403);
+
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(JSON.parse(response.body).failed.map(result => result.id), ['7']);
+        assert.equal(supabase.db.jobs[0].status, 'done');
+        assert.equal(supabase.db.jobs[0].calendar_sync_status, 'failed');
+    } finally {
+        console.error = originalError;
+    }
+});
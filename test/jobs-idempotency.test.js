@@ -0,0 +1,56 @@
+// POST /api/jobs with an Idempotency-Key: retried wizard submissions replay the first response
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTestEnv, sessionCookie, fakeSupabase } = require('./helpers');
+
+setTestEnv();
+const { handler } = require('../netlify/functions/jobs');
+
+// What the wizard sends for a weekly series; recurring_id is derived from the wizard session key
+function weeklySeries(sessionKey) {
+    return ['2026-05-04T09:00', '2026-05-11T09:00', '2026-05-18T09:00'].map((start, i) => ({
+        title: 'Smith - Mowing',
+        start_time: start,
+        job_type: 'mowing',
+        status: 'pending',
+        recurring_id: `rec_${sessionKey}`,
+        is_recurring: true,
+        recurrence_pattern: 'RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=3',
+        occurrence_number: i + 1
+    }));
+}
+
+function postJobs(jobs, key) {
+    return handler({
+        httpMethod: 'POST',
+        path: '/api/jobs',
+        headers: { cookie: sessionCookie('owner', { bootstrap: true }), 'Idempotency-Key': key },
+        body: JSON.stringify(jobs)
+    });
+}
+
+test('a retried recurring series replays the stored response', async () => {
+    const supabase = fakeSupabase();
+    global.fetch = supabase.fetch;
+
+    const first = await postJobs(weeklySeries('session-1'), 'session-1');
+    assert.equal(first.statusCode, 201);
+
+    const retry = await postJobs(weeklySeries('session-1'), 'session-1');
+    assert.equal(retry.statusCode, 201);
+    assert.equal(retry.headers['Idempotent-Replayed'], 'true');
+    assert.deepEqual(JSON.parse(retry.body), JSON.parse(first.body));
+
+    assert.equal(supabase.db.jobs.length, 3);
+    assert.equal(supabase.requests.filter(request => request === 'POST jobs').length, 1);
+});
+
+test('a key reused for a different series is rejected', async () => {
+    global.fetch = fakeSupabase().fetch;
+
+    await postJobs(weeklySeries('session-2'), 'session-2');
+    const other = await postJobs(weeklySeries('session-3'), 'session-2');
+
+    assert.equal(other.statusCode, 422);
+});
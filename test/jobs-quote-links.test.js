@@ -0,0 +1,36 @@
+// POST /api/jobs for jobs made from a website quote request
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTestEnv, sessionCookie, jsonResponse, fakeSupabase } = require('./helpers');
+
+const CONTACTS_URL = 'https://contacts.supabase.test';
+setTestEnv({ CONTACTS_SUPABASE_URL: CONTACTS_URL, CONTACTS_SUPABASE_SERVICE_KEY: 'contacts-key' });
+const { handler } = require('../netlify/functions/jobs');
+
+async function createFromQuote(job) {
+    const jobs = fakeSupabase();
+    const contacts = [];
+    global.fetch = async (url, options = {}) => {
+        if (!url.startsWith(CONTACTS_URL)) return jobs.fetch(url, options);
+        contacts.push(`${options.method} ${decodeURIComponent(new URL(url).search)}`);
+        return jsonResponse(204);
+    };
+
+    const response = await handler({
+        httpMethod: 'POST',
+        path: '/api/jobs',
+        headers: { cookie: sessionCookie('owner', { bootstrap: true }) },
+        body: JSON.stringify({ title: 'Smith', start_time: '2026-05-04T09:00', quote_request_id: 42, ...job })
+    });
+    assert.equal(response.statusCode, 201);
+    return contacts;
+}
+
+test('scheduling the work marks the quote request converted', async () => {
+    assert.deepEqual(await createFromQuote({ job_type: 'mowing' }), ['PATCH ?id=in.(42)']);
+});
+
+test('scheduling a site visit to price it leaves the quote request open', async () => {
+    assert.deepEqual(await createFromQuote({ job_type: 'quote' }), []);
+});
@@ -0,0 +1,68 @@
+// PATCH /api/quotes/:id and POST /api/quotes/:id/dismiss - changing a quote's status
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTestEnv, sessionCookie, fakeSupabase } = require('./helpers');
+
+// The contacts database gets its own fake, at the same test host as the jobs one
+setTestEnv({ CONTACTS_SUPABASE_URL: 'https://jobs.supabase.test', CONTACTS_SUPABASE_SERVICE_KEY: 'contacts-key' });
+const { handler } = require('../netlify/functions/quotes');
+
+function contactsDatabase() {
+    return fakeSupabase({ quote_requests: [{ id: '7', name: 'Pat', service: 'mowing', status: 'new' }] });
+}
+
+function send(httpMethod, path, body) {
+    return handler({
+        httpMethod,
+        path,
+        headers: { cookie: sessionCookie('owner', { bootstrap: true }) },
+        body
+    });
+}
+
+test('marks a quote contacted', async () => {
+    const supabase = contactsDatabase();
+    global.fetch = supabase.fetch;
+
+    const response = await send('PATCH', '/api/quotes/7', JSON.stringify({ status: 'contacted' }));
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(supabase.db.quote_requests[0].status, 'contacted');
+});
+
+test('a body that is not JSON is a 400', async () => {
+    const supabase = contactsDatabase();
+    global.fetch = supabase.fetch;
+
+    const response = await send('PATCH', '/api/quotes/7', '{status:');
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(JSON.parse(response.body).error, 'Validation failed');
+    assert.deepEqual(supabase.requests, []);
+});
+
+test('an id that is not a positive integer is a 400, without asking the database', async () => {
+    const supabase = contactsDatabase();
+    global.fetch = supabase.fetch;
+
+    const responses = [
+        await send('PATCH', '/api/quotes/abc', JSON.stringify({ status: 'contacted' })),
+        await send('PATCH', '/api/quotes/0', JSON.stringify({ status: 'contacted' })),
+        await send('POST', '/api/quotes/abc/dismiss'),
+        await send('POST', '/api/quotes/7.5/dismiss')
+    ];
+
+    for (const response of responses) {
+        assert.equal(response.statusCode, 400);
+        assert.deepEqual(JSON.parse(response.body).fields.map(field => field.field), ['id']);
+    }
+    assert.deepEqual(supabase.requests, []);
+    assert.equal(supabase.db.quote_requests[0].status, 'new');
+});
+
+test('dismissing an unknown quote is a 404', async () => {
+    global.fetch = contactsDatabase().fetch;
+
+    assert.equal((await send('POST', '/api/quotes/8/dismiss')).statusCode, 404);
+});
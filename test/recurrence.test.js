@@ -0,0 +1,146 @@
+// recurrence.js: parsing, building and expanding the RRULEs recurring jobs are saved with
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Recurrence = require('../recurrence');
+
+test('parses a rule with or without the RRULE: prefix', () => {
+    assert.deepEqual(Recurrence.parse('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;COUNT=8'), {
+        freq: 'WEEKLY',
+        interval: 2,
+        byDay: [{ weekday: 2, n: null }, { weekday: 4, n: null }],
+        byMonthDay: null,
+        count: 8,
+        until: null
+    });
+    assert.equal(Recurrence.parse('freq=monthly;byday=-1fr').byDay[0].n, -1);
+    assert.equal(Recurrence.parse('FREQ=DAILY;UNTIL=20261031').until, '2026-10-31T23:59');
+    assert.equal(Recurrence.parse('FREQ=DAILY;UNTIL=20261031T083000Z').until, '2026-10-31T08:30');
+});
+
+test('rejects rules expand() would not understand', () => {
+    assert.throws(() => Recurrence.parse(''), /empty/);
+    assert.throws(() => Recurrence.parse('FREQ=YEARLY'), /FREQ must be one of/);
+    assert.throws(() => Recurrence.parse('INTERVAL=2'), /FREQ is required/);
+    assert.throws(() => Recurrence.parse('FREQ=WEEKLY;COUNT=3;UNTIL=20261031'), /cannot both be set/);
+    assert.throws(() => Recurrence.parse('FREQ=WEEKLY;BYDAY=2TU'), /cannot have a position/);
+    assert.throws(() => Recurrence.parse('FREQ=MONTHLY;BYDAY=TU'), /one day with a position/);
+    assert.throws(() => Recurrence.parse('FREQ=WEEKLY;BYSETPOS=1'), /Unsupported rule part/);
+    assert.equal(Recurrence.isValid('FREQ=WEEKLY;INTERVAL=0'), false);
+    assert.equal(Recurrence.isValid('RRULE:FREQ=MONTHLY;BYMONTHDAY=-1'), true);
+});
+
+test('builds rules that parse back to the same parts', () => {
+    const rule = Recurrence.build({ freq: 'WEEKLY', interval: 2, byDay: ['TU', 'TH'], until: '2026-10-31' });
+    assert.equal(rule, 'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;UNTIL=20261031T235959');
+    assert.equal(Recurrence.parse(rule).until, '2026-10-31T23:59');
+
+    assert.equal(
+        Recurrence.build({ freq: 'MONTHLY', byDay: [{ weekday: 2, n: 2 }], count: 6 }),
+        'RRULE:FREQ=MONTHLY;BYDAY=2TU;COUNT=6'
+    );
+    // COUNT wins when both are given
+    assert.equal(Recurrence.build({ freq: 'DAILY', count: 3, until: '2026-10-31' }), 'RRULE:FREQ=DAILY;COUNT=3');
+    assert.throws(() => Recurrence.build({ freq: 'DAILY', byDay: ['MO'] }), /DAILY rules/);
+});
+
+test('monthly on the 31st skips the months that are shorter', () => {
+    assert.deepEqual(Recurrence.expand('RRULE:FREQ=MONTHLY;BYMONTHDAY=31;COUNT=7', '2026-01-31T09:00'), [
+        '2026-01-31T09:00',
+        '2026-03-31T09:00',
+        '2026-05-31T09:00',
+        '2026-07-31T09:00',
+        '2026-08-31T09:00',
+        '2026-10-31T09:00',
+        '2026-12-31T09:00'
+    ]);
+    // Without BYMONTHDAY the start date's day is used, with the same skipping
+    assert.deepEqual(Recurrence.expand('RRULE:FREQ=MONTHLY;COUNT=3', '2026-01-31T09:00'), [
+        '2026-01-31T09:00',
+        '2026-03-31T09:00',
+        '2026-05-31T09:00'
+    ]);
+    // -1 is the last day of every month instead
+    assert.deepEqual(Recurrence.expand('RRULE:FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=3', '2026-01-31T09:00'), [
+        '2026-01-31T09:00',
+        '2026-02-28T09:00',
+        '2026-03-31T09:00'
+    ]);
+});
+
+test('a rule that never matches stops instead of looping forever', () => {
+    assert.deepEqual(Recurrence.expand('RRULE:FREQ=MONTHLY;INTERVAL=12;BYMONTHDAY=31', '2026-04-01T09:00'), []);
+});
+
+test('INTERVAL with BYDAY repeats the chosen days every other week', () => {
+    // 2026-05-04 is a Monday; weeks run Monday to Sunday
+    assert.deepEqual(Recurrence.expand('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;COUNT=6', '2026-05-04T08:30'), [
+        '2026-05-05T08:30',
+        '2026-05-07T08:30',
+        '2026-05-19T08:30',
+        '2026-05-21T08:30',
+        '2026-06-02T08:30',
+        '2026-06-04T08:30'
+    ]);
+    // Days before the start in its first week are skipped, not moved
+    assert.deepEqual(Recurrence.expand('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR;COUNT=3', '2026-05-06T08:30'), [
+        '2026-05-08T08:30',
+        '2026-05-18T08:30',
+        '2026-05-22T08:30'
+    ]);
+    assert.deepEqual(Recurrence.expand('RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR;COUNT=3', '2026-01-01T10:00'), [
+        '2026-01-30T10:00',
+        '2026-03-27T10:00',
+        '2026-05-29T10:00'
+    ]);
+});
+
+test('COUNT stops after that many occurrences', () => {
+    assert.deepEqual(Recurrence.expand('RRULE:FREQ=WEEKLY;COUNT=3', '2026-05-04T09:00'), [
+        '2026-05-04T09:00',
+        '2026-05-11T09:00',
+        '2026-05-18T09:00'
+    ]);
+    assert.equal(Recurrence.expand('RRULE:FREQ=DAILY;COUNT=500', '2026-05-04T09:00').length, Recurrence.MAX_OCCURRENCES);
+    assert.equal(Recurrence.expand('RRULE:FREQ=DAILY;COUNT=10', '2026-05-04T09:00', { limit: 4 }).length, 4);
+});
+
+test('UNTIL stops after the last occurrence on or before it', () => {
+    // A date-only UNTIL includes that whole day
+    assert.deepEqual(Recurrence.expand('RRULE:FREQ=WEEKLY;UNTIL=20260525', '2026-05-04T09:00'), [
+        '2026-05-04T09:00',
+        '2026-05-11T09:00',
+        '2026-05-18T09:00',
+        '2026-05-25T09:00'
+    ]);
+    // A time on the last day excludes an occurrence later that day
+    assert.deepEqual(Recurrence.expand('RRULE:FREQ=WEEKLY;UNTIL=20260525T080000', '2026-05-04T09:00'), [
+        '2026-05-04T09:00',
+        '2026-05-11T09:00',
+        '2026-05-18T09:00'
+    ]);
+    // Without COUNT or UNTIL the series is capped
+    assert.equal(Recurrence.expand('RRULE:FREQ=WEEKLY', '2026-05-04T09:00').length, Recurrence.MAX_OCCURRENCES);
+});
+
+test('converts the JSON patterns saved before RRULE support', () => {
+    assert.equal(Recurrence.fromLegacyPattern('{"frequency":"weekly","interval":1}'), 'RRULE:FREQ=WEEKLY');
+    assert.equal(Recurrence.fromLegacyPattern('{"frequency":"biweekly","interval":2}'), 'RRULE:FREQ=WEEKLY;INTERVAL=2');
+    assert.equal(Recurrence.fromLegacyPattern({ frequency: 'monthly' }), 'RRULE:FREQ=MONTHLY');
+    assert.equal(Recurrence.fromLegacyPattern('{"frequency":"yearly"}'), null);
+    assert.equal(Recurrence.fromLegacyPattern('RRULE:FREQ=WEEKLY'), null);
+    assert.equal(Recurrence.fromLegacyPattern(null), null);
+
+    const biweekly = Recurrence.fromLegacyPattern('{"frequency":"biweekly","interval":2}');
+    assert.deepEqual(Recurrence.expand(biweekly, '2026-05-04T09:00', { limit: 3 }), [
+        '2026-05-04T09:00',
+        '2026-05-18T09:00',
+        '2026-06-01T09:00'
+    ]);
+});
+
+test('describes rules in plain English', () => {
+    assert.equal(Recurrence.describe('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU;UNTIL=20261031'),
+        'Every 2 weeks on Tuesday, until 2026-10-31');
+    assert.equal(Recurrence.describe('RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=6'), 'Every month on the last Friday, 6 times');
+});
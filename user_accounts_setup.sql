@@ -0,0 +1,23 @@
+-- User Accounts Setup for JLS Lawn Maintenance
+-- Run this in Supabase SQL Editor (jobs database) to give each person their own login
+-- with an owner or crew role
+--
+-- The shared BASIC_AUTH_USER / BASIC_AUTH_PASSWORD login keeps working and always
+-- signs in as an owner: use it to add the first accounts from the Team screen.
+
+CREATE TABLE IF NOT EXISTS public.app_users (
+  username text PRIMARY KEY CHECK (username ~ '^[a-z0-9_.-]{2,40}$'),
+  display_name text NOT NULL,
+  -- owner: everything; crew: today's route and marking jobs done
+  role text NOT NULL DEFAULT 'crew' CHECK (role IN ('owner', 'crew')),
+  -- "pbkdf2_sha256$<iterations>$<salt>$<hash>", written by the users function
+  password_hash text NOT NULL,
+  -- Deactivated accounts can no longer sign in; their history keeps their name
+  active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Only the service key (Netlify functions and the auth edge function) may read
+-- password hashes: RLS with no policies blocks the anon key entirely
+ALTER TABLE public.app_users ENABLE ROW LEVEL SECURITY;